@@ -0,0 +1,176 @@
+/**
+ * Agent State - What the agent is doing right now, read from #cascade
+ *
+ * The chat stream runs STATUS_SCRIPT as part of every capture (after each
+ * DOM change, or each poll in poll mode) and hands the reading to update();
+ * there is no polling of its own. A reading is turned into a single state:
+ * - thinking:          the agent is generating (stop button or busy marker)
+ * - awaiting_approval: a step is waiting for the user (approve + reject
+ *                      buttons, or the "N steps require input" banner)
+ * - errored:           the conversation ends in an error notice
+ * - done:              the last turn finished
+ * - idle:              no conversation yet
+ *
+ * Each change is passed to the listener given to onTransition() with when
+ * the state began, and the last few transitions are kept for getState().
+ * While the chat stream isn't running the last state is kept and marked
+ * unavailable.
+ */
+
+export const STATES = ['idle', 'thinking', 'awaiting_approval', 'errored', 'done'];
+
+const MAX_HISTORY = 50;
+
+/**
+ * Runs in the page with the #cascade element: (cascade) => reading
+ * Errors are only taken from the agent's status notice - an alert, or a
+ * Retry button, with no conversation content after it - so a transcript
+ * that merely talks about errors doesn't count.
+ */
+export const STATUS_SCRIPT = `(cascade) => {
+    const APPROVE = /^(accept|accept all|run|approve|allow|yes|confirm|always allow)$/i;
+    const REJECT = /^(reject|reject all|cancel|deny|no|skip)$/i;
+    const STOP = /^(stop|stop generating|cancel generation|cancel response)$/i;
+    const RETRY = /^(retry|try again)$/i;
+
+    const visible = (el) => {
+        if (el.getClientRects().length === 0) return false;
+        const style = window.getComputedStyle(el);
+        return style.display !== 'none' && style.visibility !== 'hidden';
+    };
+    const labelOf = (el) => (el.getAttribute('aria-label') || el.getAttribute('title') || el.innerText || el.textContent || '').trim();
+
+    const buttons = Array.from(cascade.querySelectorAll('button, [role="button"]'))
+        .filter(el => visible(el) && !el.closest('[contenteditable]'));
+    const labels = buttons.map(labelOf).filter(label => label && label.length < 30);
+    const text = cascade.innerText || '';
+
+    // Waiting for the user
+    const approveButton = labels.find(label => APPROVE.test(label)) || null;
+    const rejectButton = labels.find(label => REJECT.test(label)) || null;
+    const steps = text.match(/(\\d+)\\s*steps?\\s+requires?\\s+input/i);
+    const awaitingApproval = !!(approveButton && rejectButton) || !!steps || /send command input\\?/i.test(text);
+
+    // Generating
+    const busy = Array.from(cascade.querySelectorAll('[aria-busy="true"], [role="progressbar"]')).some(visible);
+    const generating = busy || labels.some(label => STOP.test(label));
+
+    // Error: a notice at the very end of the conversation - an alert, or
+    // whatever holds a Retry button
+    const content = Array.from(cascade.querySelectorAll('p, pre, ul, ol, table, .xterm'));
+    const endsConversation = (el) => !content.some(block =>
+        !el.contains(block) && (el.compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING));
+    const retry = buttons.find(el => RETRY.test(labelOf(el)));
+    const alerts = Array.from(cascade.querySelectorAll('[role="alert"]'))
+        .filter(el => visible(el) && !el.closest('[contenteditable]'));
+    let notice = retry ? (retry.closest('[role="alert"]') || retry.parentElement) : (alerts.pop() || null);
+    if (notice && !endsConversation(notice)) notice = null;
+    const error = notice ? (labelOf(notice).replace(/\\s+/g, ' ').replace(/\\s*(retry|try again)$/i, '') || 'Error') : null;
+
+    return {
+        generating,
+        awaitingApproval,
+        approval: awaitingApproval ? { count: steps ? parseInt(steps[1]) : 1, approveButton, rejectButton } : null,
+        error: error ? error.slice(0, 300) : null,
+        hasConversation: content.length > 0
+    };
+}`;
+
+// State is null until the first reading
+let current = { state: null, since: null, previous: null, approval: null, error: null };
+let history = [];
+let available = false;
+let checkedAt = null;
+let listener = null;
+
+/**
+ * The state a reading stands for. A pending approval wins over the
+ * spinner that keeps running behind it; an error notice only counts once
+ * generation has stopped.
+ */
+export function classify(reading) {
+    if (reading.awaitingApproval) return 'awaiting_approval';
+    if (reading.generating) return 'thinking';
+    if (reading.error) return 'errored';
+    return reading.hasConversation ? 'done' : 'idle';
+}
+
+/**
+ * Current state, when it began, and recent transitions
+ * Returns { state, since, previous, approval, error, available, checkedAt, history }
+ */
+export function getState() {
+    return { ...current, available, checkedAt, history: [...history] };
+}
+
+/**
+ * Pending approval from the last reading, in the shape of
+ * CDP.getPendingApprovals(), or null while there is no live reading
+ */
+export function getPendingApprovals() {
+    if (!available) return null;
+    const approval = current.approval;
+    if (!approval) return { pending: false, count: 0 };
+    return {
+        found: true,
+        pending: true,
+        count: approval.count,
+        approveButton: approval.approveButton ? { text: approval.approveButton.toLowerCase(), found: true } : null,
+        rejectButton: approval.rejectButton ? { text: approval.rejectButton.toLowerCase(), found: true } : null
+    };
+}
+
+/**
+ * Call fn(transition) on every state change
+ */
+export function onTransition(fn) {
+    listener = fn;
+}
+
+/**
+ * The chat stream stopped - keep the last state but stop vouching for it
+ */
+export function markUnavailable() {
+    available = false;
+}
+
+/**
+ * Take a reading from STATUS_SCRIPT. Returns the transition if the state
+ * changed, else null.
+ */
+export function update(reading) {
+    if (!reading) return null;
+    available = true;
+    checkedAt = new Date().toISOString();
+
+    const state = classify(reading);
+    const approval = reading.approval || null;
+    const error = state === 'errored' ? reading.error : null;
+
+    if (state === current.state) {
+        // Same state, fresher details (e.g. a second step needing approval)
+        current = { ...current, approval, error };
+        return null;
+    }
+
+    const transition = {
+        state,
+        since: checkedAt,
+        previous: current.state,
+        previousSince: current.since,
+        approval,
+        error
+    };
+    current = { state, since: checkedAt, previous: transition.previous, approval, error };
+    history.push({ state, since: checkedAt, previous: transition.previous });
+    if (history.length > MAX_HISTORY) history = history.slice(-MAX_HISTORY);
+
+    if (listener) {
+        try {
+            listener(transition);
+        } catch (e) {
+            console.log(`⚠️ Agent state listener failed: ${e.message}`);
+        }
+    }
+    return transition;
+}
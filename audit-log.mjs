@@ -0,0 +1,117 @@
+/**
+ * Audit Log - Append-only record of remote control actions
+ *
+ * Every prompt injection, approval, file save, model/mode change, login
+ * and secret reveal from a phone is written as one JSON line to
+ * data/audit.jsonl:
+ *   { id, at, action, device: { sessionId, label, role }, ip, params, result }
+ * Entries are never rewritten. Parameters are masked by the redaction
+ * pipeline before they are stored.
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { appendFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { randomBytes } from 'crypto';
+import * as Redaction from './redaction.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, 'data');
+const AUDIT_FILE = join(DATA_DIR, 'audit.jsonl');
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Append an entry
+ * session: the acting session ({ id, label, role }) or null
+ * result: { success, error? }
+ */
+export function record({ action, session, ip, params = {}, result = { success: true } }) {
+    const entry = {
+        id: randomBytes(6).toString('hex'),
+        at: new Date().toISOString(),
+        action,
+        device: session ? { sessionId: session.id, label: session.label || null, role: session.role } : null,
+        ip: ip || null,
+        params: Redaction.redactValue(params),
+        result: {
+            success: !!result.success,
+            ...(result.error ? { error: Redaction.redactText(String(result.error)) } : {})
+        }
+    };
+
+    try {
+        if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+        appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 });
+    } catch (e) {
+        console.log(`⚠️ Could not write audit log: ${e.message}`);
+    }
+    return entry;
+}
+
+function readAll() {
+    if (!existsSync(AUDIT_FILE)) return [];
+    const entries = [];
+    for (const line of readFileSync(AUDIT_FILE, 'utf-8').split('\n')) {
+        if (!line) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            // Half-written line from a crash - skip it
+        }
+    }
+    return entries;
+}
+
+/**
+ * Entries matching the filters, newest first
+ * filters: { action (comma-separated), session, ip, result ('success' | 'failure'),
+ *            since, until (ISO dates), limit, before (entry id, for paging) }
+ * Returns { entries, total, hasMore } - total counts every match
+ */
+export function query(filters = {}) {
+    const actions = filters.action ? String(filters.action).split(',').filter(Boolean) : null;
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const until = filters.until ? Date.parse(filters.until) : null;
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(filters.limit) || 100));
+
+    let entries = readAll().filter(e => {
+        if (actions && !actions.includes(e.action)) return false;
+        if (filters.session && e.device?.sessionId !== filters.session) return false;
+        if (filters.ip && e.ip !== filters.ip) return false;
+        if (filters.result === 'success' && !e.result?.success) return false;
+        if (filters.result === 'failure' && e.result?.success) return false;
+        const at = Date.parse(e.at);
+        if (since && at < since) return false;
+        if (until && at > until) return false;
+        return true;
+    }).reverse();
+
+    const total = entries.length;
+    if (filters.before) {
+        const index = entries.findIndex(e => e.id === filters.before);
+        if (index !== -1) entries = entries.slice(index + 1);
+    }
+
+    return {
+        entries: entries.slice(0, limit),
+        total,
+        hasMore: entries.length > limit
+    };
+}
+
+/**
+ * Distinct actions and devices seen, for building filters
+ */
+export function getFacets() {
+    const actions = new Set();
+    const devices = new Map();
+    for (const e of readAll()) {
+        actions.add(e.action);
+        if (e.device?.sessionId) devices.set(e.device.sessionId, e.device.label || e.device.sessionId);
+    }
+    return {
+        actions: [...actions].sort(),
+        devices: [...devices].map(([sessionId, label]) => ({ sessionId, label }))
+    };
+}
@@ -0,0 +1,344 @@
+/**
+ * Auth Service - Persistent login sessions
+ *
+ * Sessions survive server restarts (data/sessions.json) and expire:
+ * - after sessionIdleHours without use (default 7 days)
+ * - sessionMaxDays after login regardless of use (default 30 days)
+ *
+ * Only a hash of each token is written to disk. Every session also has a
+ * short public id used to list and revoke devices. Sessions are dropped
+ * when the PIN they were created with changes.
+ *
+ * Two PINs can be set, each granting a role:
+ * - operator: full control
+ * - viewer: read-only - can watch the agent but not act on it
+ * PINs are kept as salted scrypt hashes ("scrypt:<salt>:<hash>") and
+ * checked in constant time.
+ *
+ * Pairing tokens (QR codes) log a device in without typing the PIN. They
+ * are single-use, expire after pairingTtlMinutes and live only in memory.
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { config } from './config.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, 'data');
+const SESSIONS_FILE = join(DATA_DIR, 'sessions.json');
+
+const HOUR = 60 * 60 * 1000;
+const IDLE_TTL = config.sessionIdleHours * HOUR;
+const MAX_TTL = config.sessionMaxDays * 24 * HOUR;
+
+const PAIRING_TTL = config.pairingTtlMinutes * 60 * 1000;
+
+// lastSeenAt changes on every request; write it out at most this often
+const SAVE_DELAY = 30 * 1000;
+
+const SCRYPT_KEYLEN = 32;
+
+// What each role may do; routes and WebSocket actions ask for one permission
+export const ROLE_PERMISSIONS = {
+    operator: ['view', 'control'],
+    viewer: ['view']
+};
+
+// State
+const sessions = new Map(); // token hash -> session
+const pairings = new Map(); // token hash -> { label, role, expiresAt }
+let pinHashes = { operator: null, viewer: null };
+let saveTimer = null;
+
+function hashToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Compared against when a role has no PIN, so every check costs the same
+const DUMMY_HASH = `scrypt:${'0'.repeat(32)}:${'0'.repeat(64)}`;
+
+function scryptAsync(pin, salt) {
+    return new Promise((resolve, reject) => {
+        scrypt(String(pin), salt, SCRYPT_KEYLEN, (err, key) => err ? reject(err) : resolve(key));
+    });
+}
+
+/**
+ * Hash a PIN with a fresh random salt
+ */
+export async function hashPin(pin) {
+    const salt = randomBytes(16);
+    const key = await scryptAsync(pin, salt);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+/**
+ * Check a PIN against a hash from hashPin() in constant time
+ */
+export async function verifyPin(pin, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(pin, Buffer.from(salt, 'hex'));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function isExpired(session, now = Date.now()) {
+    return now - session.lastSeenAt > IDLE_TTL || now - session.createdAt > MAX_TTL;
+}
+
+function expiresAt(session) {
+    return Math.min(session.lastSeenAt + IDLE_TTL, session.createdAt + MAX_TTL);
+}
+
+function save() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    try {
+        if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+        const data = { pins: pinHashes, sessions: [...sessions.values()] };
+        // Write then rename so a crash never leaves a half-written file
+        writeFileSync(SESSIONS_FILE + '.tmp', JSON.stringify(data, null, 2));
+        renameSync(SESSIONS_FILE + '.tmp', SESSIONS_FILE);
+    } catch (e) {
+        console.error('Failed to save sessions:', e.message);
+    }
+}
+
+function scheduleSave() {
+    if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY);
+}
+
+/**
+ * Set the PINs and load stored sessions. `viewerPin` is optional.
+ * Sessions whose role's PIN changed are discarded.
+ */
+export async function init(pin, viewerPin = null) {
+    const pins = { operator: pin, viewer: viewerPin };
+    sessions.clear();
+    pinHashes = { operator: null, viewer: null };
+
+    let stored = { pins: {}, sessions: [] };
+    try {
+        if (existsSync(SESSIONS_FILE)) {
+            const data = JSON.parse(readFileSync(SESSIONS_FILE, 'utf-8'));
+            stored = { pins: data.pins || { operator: data.pin }, sessions: data.sessions || [] };
+        }
+    } catch (e) {
+        console.error('Failed to load sessions:', e.message);
+    }
+
+    for (const role of Object.keys(pins)) {
+        if (!pins[role]) continue;
+        // Same PIN - keep its hash (and salt) so its sessions stay valid
+        pinHashes[role] = await verifyPin(pins[role], stored.pins[role])
+            ? stored.pins[role]
+            : await hashPin(pins[role]);
+    }
+
+    let dropped = 0;
+    for (const session of stored.sessions) {
+        const role = session.role || 'operator';
+        if (pinHashes[role] && pinHashes[role] === stored.pins[role]) {
+            if (!isExpired(session)) sessions.set(session.tokenHash, { ...session, role });
+        } else {
+            dropped++;
+        }
+    }
+
+    save();
+    if (dropped > 0) {
+        console.log(`🔑 PIN changed - ${dropped} session(s) cleared`);
+    }
+    if (sessions.size > 0) {
+        console.log(`🔑 Restored ${sessions.size} session(s)`);
+    }
+}
+
+/**
+ * Check a PIN against the configured PINs
+ * Returns the role it grants, or null
+ */
+export async function checkPin(pin) {
+    // Always hash against both so timing doesn't reveal which PINs exist
+    const [operator, viewer] = await Promise.all([
+        verifyPin(pin, pinHashes.operator || DUMMY_HASH),
+        verifyPin(pin, pinHashes.viewer || DUMMY_HASH)
+    ]);
+    if (operator && pinHashes.operator) return 'operator';
+    if (viewer && pinHashes.viewer) return 'viewer';
+    return null;
+}
+
+/**
+ * Whether a role has a permission ('view' or 'control')
+ */
+export function can(role, permission) {
+    return !!ROLE_PERMISSIONS[role]?.includes(permission);
+}
+
+/**
+ * Create a session after a successful login
+ * Returns { token, session } - the token is only ever returned here
+ */
+export function createSession({ role = 'operator', label, userAgent, ip } = {}) {
+    const token = randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+        id: randomBytes(6).toString('hex'),
+        tokenHash: hashToken(token),
+        role,
+        label: String(label || '').trim().slice(0, 50) || describeUserAgent(userAgent),
+        userAgent: String(userAgent || '').slice(0, 300),
+        ip: ip || null,
+        createdAt: now,
+        lastSeenAt: now
+    };
+    sessions.set(session.tokenHash, session);
+    save();
+    return { token, session: toPublic(session) };
+}
+
+/**
+ * Create a single-use pairing token for a new device
+ * Returns { token, expiresAt }
+ */
+export function createPairing({ label, role = 'operator' } = {}) {
+    prunePairings();
+    const token = randomBytes(24).toString('base64url');
+    const expiresAt = Date.now() + PAIRING_TTL;
+    pairings.set(hashToken(token), {
+        label: String(label || '').trim().slice(0, 50),
+        role: ROLE_PERMISSIONS[role] ? role : 'operator',
+        expiresAt
+    });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Exchange a pairing token for a session; the token is used up either way
+ * Returns { token, session } or null when unknown or expired
+ */
+export function redeemPairing(pairingToken, { label, userAgent, ip } = {}) {
+    prunePairings();
+    const key = hashToken(pairingToken);
+    const pairing = pairings.get(key);
+    if (!pairing) return null;
+    pairings.delete(key);
+
+    return createSession({
+        role: pairing.role,
+        label: pairing.label || label,
+        userAgent,
+        ip
+    });
+}
+
+function prunePairings(now = Date.now()) {
+    for (const [key, pairing] of pairings) {
+        if (pairing.expiresAt <= now) pairings.delete(key);
+    }
+}
+
+/**
+ * Look up the session for a token and mark it as used
+ * Returns the public session, or null when unknown or expired
+ */
+export function validateSession(token, ip) {
+    if (!token) return null;
+    const key = hashToken(token);
+    const session = sessions.get(key);
+    if (!session) return null;
+
+    const now = Date.now();
+    if (isExpired(session, now)) {
+        sessions.delete(key);
+        save();
+        return null;
+    }
+
+    session.lastSeenAt = now;
+    if (ip) session.ip = ip;
+    scheduleSave();
+    return toPublic(session);
+}
+
+/**
+ * List active sessions, newest activity first
+ */
+export function listSessions() {
+    const now = Date.now();
+    return [...sessions.values()]
+        .filter(s => !isExpired(s, now))
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(toPublic);
+}
+
+/**
+ * Revoke a session by its public id
+ */
+export function revokeSession(id) {
+    for (const [key, session] of sessions) {
+        if (session.id === id) {
+            sessions.delete(key);
+            save();
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Revoke the session a token belongs to (logout)
+ * Returns the revoked session's id, or null
+ */
+export function revokeToken(token) {
+    const key = hashToken(token);
+    const session = sessions.get(key);
+    if (!session) return null;
+    sessions.delete(key);
+    save();
+    return session.id;
+}
+
+/**
+ * Session lifetimes in ms
+ */
+export function getTtl() {
+    return { idle: IDLE_TTL, max: MAX_TTL, pairing: PAIRING_TTL };
+}
+
+function toPublic(session) {
+    return {
+        id: session.id,
+        role: session.role,
+        label: session.label,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: new Date(session.createdAt).toISOString(),
+        lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+        expiresAt: new Date(expiresAt(session)).toISOString()
+    };
+}
+
+// Fallback device label when none was given at login
+function describeUserAgent(ua = '') {
+    const device =
+        /iPhone/.test(ua) ? 'iPhone' :
+        /iPad/.test(ua) ? 'iPad' :
+        /Android/.test(ua) ? 'Android' :
+        /Windows/.test(ua) ? 'Windows' :
+        /Macintosh|Mac OS X/.test(ua) ? 'Mac' :
+        /Linux/.test(ua) ? 'Linux' : 'Device';
+    const browser =
+        /Edg\//.test(ua) ? 'Edge' :
+        /Firefox\//.test(ua) ? 'Firefox' :
+        /Chrome\//.test(ua) ? 'Chrome' :
+        /Safari\//.test(ua) ? 'Safari' : null;
+    return browser ? `${device} (${browser})` : device;
+}
@@ -0,0 +1,306 @@
+/**
+ * CDP Session - Persistent connection to the Antigravity editor target
+ *
+ * Keeps one WebSocket open to the editor page instead of connecting per call:
+ * - Tracks execution contexts (including webviews) as they are created/destroyed
+ * - Reconnects on its own with backoff when the target goes away
+ * - Re-emits CDP events so other modules can subscribe without their own socket
+ */
+
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { config } from './config.mjs';
+
+const CDP_URL = `http://localhost:${config.cdpPort}`;
+
+const CALL_TIMEOUT = 5000;
+const CONNECT_TIMEOUT = 5000;
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// State
+let ws = null;
+let target = null;
+let connecting = null;
+let messageId = 1;
+const pending = new Map();
+const contexts = new Map();
+const preferredContexts = new Map(); // lookup key -> context id that last matched
+let reconnectTimer = null;
+let reconnectDelay = RECONNECT_MIN_DELAY;
+let closedByUser = false;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(50);
+
+/**
+ * Get list of available CDP targets (pages/tabs)
+ */
+export async function getTargets() {
+    const response = await fetch(`${CDP_URL}/json/list`, {
+        signal: AbortSignal.timeout(2000)
+    });
+    return response.json();
+}
+
+/**
+ * Get CDP version info
+ */
+export async function getVersion() {
+    const response = await fetch(`${CDP_URL}/json/version`, {
+        signal: AbortSignal.timeout(2000)
+    });
+    return response.json();
+}
+
+/**
+ * Find the main Antigravity editor page
+ */
+export async function findEditorTarget() {
+    const targets = await getTargets();
+
+    // Look for the main editor window (not launchpad, not devtools)
+    const editor = targets.find(t =>
+        t.type === 'page' &&
+        t.title.includes('Antigravity') &&
+        !t.title.includes('Launchpad') &&
+        !t.url.includes('devtools')
+    );
+
+    return editor || targets.find(t => t.type === 'page');
+}
+
+/**
+ * Open the WebSocket and enable the Runtime domain.
+ * Runtime.enable reports every existing context before it resolves,
+ * so no settle delay is needed afterwards.
+ */
+async function connect() {
+    const found = await findEditorTarget();
+    if (!found) throw new Error('No editor target found');
+    if (!found.webSocketDebuggerUrl) throw new Error('No WebSocket URL for target');
+
+    const socket = new WebSocket(found.webSocketDebuggerUrl);
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.terminate();
+            reject(new Error('Connection timeout'));
+        }, CONNECT_TIMEOUT);
+        socket.once('open', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+        socket.once('error', (e) => {
+            clearTimeout(timer);
+            reject(e);
+        });
+    });
+
+    ws = socket;
+    target = found;
+    contexts.clear();
+    preferredContexts.clear();
+
+    socket.on('message', handleMessage);
+    socket.on('error', () => { /* 'close' follows and handles cleanup */ });
+    socket.on('close', () => handleClose(socket));
+
+    await send('Runtime.enable');
+
+    reconnectDelay = RECONNECT_MIN_DELAY;
+    console.log(`🔗 CDP session connected: ${target.title}`);
+    emitter.emit('connected', { target });
+}
+
+function handleMessage(raw) {
+    let msg;
+    try {
+        msg = JSON.parse(raw.toString());
+    } catch (e) {
+        return;
+    }
+
+    if (msg.id && pending.has(msg.id)) {
+        const { resolve, reject, timer } = pending.get(msg.id);
+        pending.delete(msg.id);
+        clearTimeout(timer);
+        if (msg.error) reject(new Error(msg.error.message));
+        else resolve(msg.result);
+        return;
+    }
+
+    if (!msg.method) return;
+
+    if (msg.method === 'Runtime.executionContextCreated') {
+        contexts.set(msg.params.context.id, msg.params.context);
+    } else if (msg.method === 'Runtime.executionContextDestroyed') {
+        contexts.delete(msg.params.executionContextId);
+    } else if (msg.method === 'Runtime.executionContextsCleared') {
+        contexts.clear();
+    }
+
+    emitter.emit(msg.method, msg.params);
+}
+
+function handleClose(socket) {
+    if (socket !== ws) return;
+
+    ws = null;
+    contexts.clear();
+    preferredContexts.clear();
+
+    for (const { reject, timer } of pending.values()) {
+        clearTimeout(timer);
+        reject(new Error('CDP connection closed'));
+    }
+    pending.clear();
+
+    console.log('🔌 CDP session disconnected');
+    emitter.emit('disconnected', { target });
+
+    if (!closedByUser) scheduleReconnect();
+}
+
+function scheduleReconnect() {
+    if (reconnectTimer) return;
+
+    reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        try {
+            await ensureConnected();
+        } catch (e) {
+            reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY);
+            scheduleReconnect();
+        }
+    }, reconnectDelay);
+}
+
+/**
+ * Connect if needed. Concurrent callers share the same attempt.
+ */
+export async function ensureConnected() {
+    if (ws && ws.readyState === WebSocket.OPEN) return;
+
+    closedByUser = false;
+    if (!connecting) {
+        connecting = connect().finally(() => {
+            connecting = null;
+        });
+    }
+    await connecting;
+}
+
+/**
+ * Call a CDP method on the editor target
+ */
+export async function send(method, params = {}, timeout = CALL_TIMEOUT) {
+    if (!isConnected()) {
+        await ensureConnected();
+        if (!isConnected()) throw new Error('CDP not connected');
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = messageId++;
+        const timer = setTimeout(() => {
+            if (pending.has(id)) {
+                pending.delete(id);
+                reject(new Error(`Timeout: ${method}`));
+            }
+        }, timeout);
+        pending.set(id, { resolve, reject, timer });
+        ws.send(JSON.stringify({ id, method, params }));
+    });
+}
+
+/**
+ * Evaluate an expression and return its value
+ * Options: { contextId, awaitPromise, timeout }
+ */
+export async function evaluate(expression, options = {}) {
+    const params = {
+        expression,
+        returnByValue: true,
+        awaitPromise: !!options.awaitPromise
+    };
+    if (options.contextId) params.contextId = options.contextId;
+
+    const result = await send('Runtime.evaluate', params, options.timeout);
+    return result.result?.value;
+}
+
+/**
+ * Evaluate an expression in each execution context until one returns
+ * an accepted value. The matching context is remembered under `key`
+ * and tried first next time.
+ *
+ * Options: { key, accept(value), awaitPromise, timeout }
+ * Returns: { value, contextId } or null when no context matched
+ */
+export async function evaluateInContexts(expression, options = {}) {
+    await ensureConnected();
+
+    const accept = options.accept || (value => value !== undefined && value !== null);
+    const preferred = options.key ? preferredContexts.get(options.key) : null;
+    const ids = [...contexts.keys()];
+    if (preferred && contexts.has(preferred)) {
+        ids.splice(ids.indexOf(preferred), 1);
+        ids.unshift(preferred);
+    }
+
+    for (const contextId of ids) {
+        try {
+            const value = await evaluate(expression, { ...options, contextId });
+            if (accept(value)) {
+                if (options.key) preferredContexts.set(options.key, contextId);
+                return { value, contextId };
+            }
+        } catch (e) { }
+    }
+
+    if (options.key) preferredContexts.delete(options.key);
+    return null;
+}
+
+/**
+ * Subscribe to a CDP event (e.g. 'Page.screencastFrame') or to the
+ * session lifecycle events 'connected' / 'disconnected'.
+ * Returns an unsubscribe function.
+ */
+export function on(event, handler) {
+    emitter.on(event, handler);
+    return () => emitter.off(event, handler);
+}
+
+/**
+ * Get the currently tracked execution contexts
+ */
+export function getContexts() {
+    return [...contexts.values()];
+}
+
+/**
+ * Get the target the session is attached to
+ */
+export function getTarget() {
+    return target;
+}
+
+/**
+ * Check if the session is currently connected
+ */
+export function isConnected() {
+    return !!ws && ws.readyState === WebSocket.OPEN;
+}
+
+/**
+ * Close the session and stop reconnecting
+ */
+export function close() {
+    closedByUser = true;
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+    if (ws) ws.close();
+}
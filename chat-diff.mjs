@@ -0,0 +1,166 @@
+/**
+ * Chat Diff - Versioned patches for the live chat view
+ *
+ * Turns successive chat captures into small patches instead of re-sending
+ * the whole HTML and CSS on every change:
+ * - Messages are keyed blocks; new ones are appended, changed ones patched
+ * - CSS is only included when its hash changes
+ * - Recent patches are kept so a client that fell behind can catch up
+ *   from its last sequence number instead of downloading everything again
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+const HISTORY_LIMIT = 200;
+
+// Changes every server run so clients never apply patches from an old run
+const epoch = randomBytes(4).toString('hex');
+
+// State
+let seq = 0;
+let current = null;
+const history = []; // recent broadcasts: { seq, event, data } (no data for snapshots)
+
+function hash(text) {
+    return createHash('sha1').update(text || '').digest('base64').slice(0, 16);
+}
+
+function toState(chat) {
+    // Captures without a block split are treated as a single block
+    const shell = chat.shell ?? '<div data-ag-list></div>';
+    const blocks = chat.blocks ?? [{ key: 'all', html: chat.html }];
+
+    return {
+        shell,
+        shellHash: hash(shell),
+        blocks: blocks.map(b => ({ key: b.key, html: b.html, hash: hash(b.html) })),
+        css: chat.css || '',
+        cssHash: hash(chat.css),
+        bodyBg: chat.bodyBg || '',
+        bodyColor: chat.bodyColor || ''
+    };
+}
+
+/**
+ * Work out append/patch/remove ops taking `prev` to `next`.
+ * Returns null when the change can't be expressed that way
+ * (new shell, or blocks inserted or reordered mid-list).
+ */
+function diffBlocks(prev, next) {
+    if (prev.shellHash !== next.shellHash) return null;
+
+    const nextKeys = new Set(next.blocks.map(b => b.key));
+    const prevByKey = new Map(prev.blocks.map(b => [b.key, b]));
+    const ops = [];
+
+    for (const block of prev.blocks) {
+        if (!nextKeys.has(block.key)) ops.push({ op: 'remove', key: block.key });
+    }
+
+    // Kept blocks must stay in their old order, followed only by new ones
+    const kept = prev.blocks.filter(b => nextKeys.has(b.key));
+    for (let i = 0; i < next.blocks.length; i++) {
+        const block = next.blocks[i];
+        const old = prevByKey.get(block.key);
+
+        if (i < kept.length) {
+            if (kept[i].key !== block.key) return null;
+            if (old.hash !== block.hash) ops.push({ op: 'patch', key: block.key, html: block.html });
+        } else {
+            if (old) return null;
+            ops.push({ op: 'append', key: block.key, html: block.html });
+        }
+    }
+
+    return ops;
+}
+
+// Snapshots are only marked in the history (a client that missed one has
+// to start over anyway), so their HTML and CSS aren't held on to
+function record(event, data) {
+    history.push(event === 'chat_patch' ? { seq: data.seq, event, data } : { seq: data.seq, event });
+    if (history.length > HISTORY_LIMIT) history.shift();
+    return { event, data };
+}
+
+/**
+ * Feed a new capture from the chat stream.
+ * Returns the message to broadcast ({ event: 'chat_patch' | 'chat_snapshot', data })
+ * or null when nothing changed.
+ */
+export function update(chat) {
+    if (!chat) return null;
+
+    const next = toState(chat);
+    const prev = current;
+    current = next;
+
+    if (!prev) {
+        seq++;
+        return record('chat_snapshot', getSnapshot());
+    }
+
+    const ops = diffBlocks(prev, next);
+    if (!ops) {
+        seq++;
+        return record('chat_snapshot', getSnapshot());
+    }
+
+    const cssChanged = prev.cssHash !== next.cssHash;
+    const bodyChanged = prev.bodyBg !== next.bodyBg || prev.bodyColor !== next.bodyColor;
+    if (ops.length === 0 && !cssChanged && !bodyChanged) return null;
+
+    const patch = {
+        epoch,
+        seq: seq + 1,
+        baseSeq: seq,
+        ops,
+        cssHash: next.cssHash
+    };
+    if (cssChanged) patch.css = next.css;
+    if (bodyChanged) {
+        patch.bodyBg = next.bodyBg;
+        patch.bodyColor = next.bodyColor;
+    }
+
+    seq++;
+    return record('chat_patch', patch);
+}
+
+/**
+ * Full state for a client starting from scratch
+ */
+export function getSnapshot() {
+    if (!current) return null;
+
+    return {
+        epoch,
+        seq,
+        shell: current.shell,
+        blocks: current.blocks.map(b => ({ key: b.key, html: b.html })),
+        css: current.css,
+        cssHash: current.cssHash,
+        bodyBg: current.bodyBg,
+        bodyColor: current.bodyColor
+    };
+}
+
+/**
+ * Patches a client needs to get from `since` to the current sequence.
+ * Returns an array (possibly empty), or null when the client has to
+ * start over from a snapshot (other epoch, too far behind, or a
+ * snapshot was broadcast in between).
+ */
+export function getPatchesSince(since, clientEpoch) {
+    if (!current || clientEpoch !== epoch) return null;
+    if (!Number.isInteger(since) || since > seq) return null;
+    if (since === seq) return [];
+
+    const start = history.findIndex(h => h.seq === since + 1);
+    if (start === -1) return null;
+
+    const missed = history.slice(start);
+    if (missed.some(h => h.event !== 'chat_patch')) return null;
+    return missed.map(h => h.data);
+}
+
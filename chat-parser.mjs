@@ -0,0 +1,342 @@
+/**
+ * Chat Parser - Structured conversation model from #cascade
+ *
+ * Walks the chat DOM inside the IDE and returns typed entries instead of
+ * raw HTML, so clients don't depend on the IDE's markup or class names:
+ * - user:     a prompt sent by the user
+ * - agent:    agent prose, converted to markdown
+ * - code:     a code block with its language
+ * - terminal: a command and its output
+ * - tool:     a tool step ("Analyzed file.ts", "Searched web", ...)
+ * - file_edit: a file the agent created/edited/deleted, with +/- counts
+ * - approval: a prompt waiting for the user, with its button labels
+ *
+ * Classification relies on semantic markup (pre/code, roles, aria labels,
+ * data attributes) and visible text, not on utility class names.
+ * IDs are derived from the conversation position so they stay the same
+ * while an entry is still streaming.
+ */
+
+import { createHash } from 'crypto';
+import * as Session from './cdp-session.mjs';
+
+const MAX_TEXT = 20000;
+
+const PARSE_SCRIPT = `(() => {
+    const cascade = document.getElementById('cascade');
+    if (!cascade) return { found: false };
+
+    const MAX_TEXT = ${MAX_TEXT};
+    const TOOL_VERBS = /^(Analyzed|Analyzing|Searched|Searching|Read|Reading|Viewed|Viewing|Listed|Listing|Fetched|Fetching|Browsed|Browsing|Opened|Thought for|Checked|Found|Generating|Generated|Ran|Running)\\b/;
+    const FILE_VERBS = /^(Edited|Editing|Created|Creating|Deleted|Deleting|Wrote|Writing|Modified|Updated)\\s+(\\S+)/;
+    const APPROVE = /^(accept|accept all|run|approve|allow|yes|confirm|always allow)$/i;
+    const REJECT = /^(reject|reject all|cancel|deny|no|skip)$/i;
+
+    const entries = [];
+    let prose = [];
+
+    const clip = (text) => (text || '').slice(0, MAX_TEXT);
+    const textOf = (el) => (el.innerText || el.textContent || '').trim();
+    const hidden = (el) => {
+        const style = window.getComputedStyle(el);
+        return style.display === 'none' || style.visibility === 'hidden';
+    };
+
+    function flushProse(role) {
+        const markdown = prose.join('\\n\\n').replace(/\\n{3,}/g, '\\n\\n').trim();
+        prose = [];
+        if (markdown) entries.push({ type: role, markdown: clip(markdown) });
+    }
+
+    // --- Inline markdown ---
+    function inline(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\\s+/g, ' ');
+        if (node.nodeType !== Node.ELEMENT_NODE || hidden(node)) return '';
+
+        const tag = node.tagName.toLowerCase();
+        const inner = () => Array.from(node.childNodes).map(inline).join('');
+        switch (tag) {
+            case 'code': return '\\u0060' + node.textContent + '\\u0060';
+            case 'strong': case 'b': return '**' + inner().trim() + '**';
+            case 'em': case 'i': return '*' + inner().trim() + '*';
+            case 'a': return '[' + inner().trim() + '](' + (node.getAttribute('href') || '') + ')';
+            case 'br': return '\\n';
+            case 'img': return node.alt ? '![' + node.alt + '](' + (node.getAttribute('src') || '') + ')' : '';
+            case 'svg': case 'button': return '';
+            default: return inner();
+        }
+    }
+
+    function listMarkdown(list, depth) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const lines = [];
+        Array.from(list.children).forEach((li, i) => {
+            const nested = [];
+            const own = Array.from(li.childNodes).map(child => {
+                if (child.nodeType === Node.ELEMENT_NODE && /^(ul|ol)$/i.test(child.tagName)) {
+                    nested.push(listMarkdown(child, depth + 1));
+                    return '';
+                }
+                return inline(child);
+            }).join('').trim();
+            lines.push('  '.repeat(depth) + (ordered ? (i + 1) + '. ' : '- ') + own);
+            nested.forEach(n => lines.push(n));
+        });
+        return lines.join('\\n');
+    }
+
+    function tableMarkdown(table) {
+        const rows = Array.from(table.querySelectorAll('tr')).map(tr =>
+            Array.from(tr.children).map(cell => inline(cell).trim().replace(/\\|/g, '\\\\|'))
+        );
+        if (rows.length === 0) return '';
+        const header = '| ' + rows[0].join(' | ') + ' |';
+        const divider = '| ' + rows[0].map(() => '---').join(' | ') + ' |';
+        return [header, divider, ...rows.slice(1).map(r => '| ' + r.join(' | ') + ' |')].join('\\n');
+    }
+
+    // --- Special blocks ---
+    function codeLanguage(pre) {
+        const candidates = [pre, pre.querySelector('code'), pre.parentElement].filter(Boolean);
+        for (const el of candidates) {
+            const lang = el.getAttribute('data-language') || el.getAttribute('data-lang');
+            if (lang) return lang.toLowerCase();
+            const match = (el.getAttribute('class') || '').match(/(?:^|\\s)(?:language|lang)-([\\w+#-]+)/);
+            if (match) return match[1].toLowerCase();
+        }
+        return null;
+    }
+
+    function isTerminal(el) {
+        if (el.matches('.xterm')) return true;
+        const label = ((el.getAttribute('aria-label') || '') + ' ' + (el.getAttribute('data-testid') || '')).toLowerCase();
+        return label.includes('terminal');
+    }
+
+    function terminalEntry(el) {
+        let output = '';
+        const rows = el.querySelectorAll('.xterm-accessibility [role="listitem"], .xterm-rows > div');
+        if (rows.length) {
+            output = Array.from(rows).map(r => r.textContent.replace(/\\s+$/, '')).join('\\n');
+        } else {
+            const pre = el.querySelector('pre, code');
+            output = pre ? pre.textContent : textOf(el);
+        }
+        output = output.trim();
+        const firstLine = output.split('\\n')[0] || '';
+        const command = /^\\s*[$>#]\\s+/.test(firstLine) ? firstLine.replace(/^\\s*[$>#]\\s+/, '') : null;
+        return { type: 'terminal', command, output: clip(output) };
+    }
+
+    function approvalEntry(el) {
+        const buttons = Array.from(el.querySelectorAll('button, [role="button"]'))
+            .map(textOf)
+            .filter(label => label && label.length <= 20);
+        if (!buttons.some(b => APPROVE.test(b)) || !buttons.some(b => REJECT.test(b))) return null;
+
+        const clone = el.cloneNode(true);
+        clone.querySelectorAll('button, [role="button"]').forEach(b => b.remove());
+        const prompt = (clone.textContent || '').replace(/\\s+/g, ' ').trim();
+        return { type: 'approval', prompt: clip(prompt), actions: buttons };
+    }
+
+    // A compact row whose text starts with a tool/file verb
+    function stepEntry(el) {
+        const text = textOf(el).replace(/\\s+/g, ' ');
+        if (!text || text.length > 300 || el.querySelector('p, pre, ul, ol, table, h1, h2, h3')) return null;
+
+        const file = text.match(FILE_VERBS);
+        if (file) {
+            const counts = text.match(/\\+(\\d+)\\s*-(\\d+)/);
+            return {
+                type: 'file_edit',
+                action: file[1].toLowerCase(),
+                path: file[2],
+                additions: counts ? parseInt(counts[1]) : null,
+                deletions: counts ? parseInt(counts[2]) : null
+            };
+        }
+        if (TOOL_VERBS.test(text)) {
+            const verb = text.match(TOOL_VERBS)[1];
+            return { type: 'tool', name: verb.toLowerCase(), summary: text };
+        }
+        return null;
+    }
+
+    // User prompts are plain pre-wrapped text: no markdown structure,
+    // code or tool rows, and not part of agent prose
+    function isUserPrompt(el) {
+        if (el.closest('p, li, pre, code, table, blockquote, .xterm')) return false;
+        if (el.querySelector('p, pre, ul, ol, table, h1, h2, h3, h4, button')) return false;
+        const text = textOf(el);
+        if (!text || TOOL_VERBS.test(text) || FILE_VERBS.test(text)) return false;
+        return window.getComputedStyle(el).whiteSpace === 'pre-wrap';
+    }
+
+    // A block holding one pre plus a short header (language label, copy button)
+    function codeBlock(el) {
+        const pres = el.querySelectorAll('pre');
+        if (pres.length !== 1 || el.querySelector('p, ul, ol, table, .xterm')) return null;
+
+        const pre = pres[0];
+        const outside = textOf(el).replace(pre.textContent.trim(), '').replace(/\\bcopy\\b/ig, '').trim();
+        if (outside.length > 30) return null;
+
+        const label = /^[\\w+#.-]+$/.test(outside) ? outside.toLowerCase() : null;
+        return { type: 'code', language: codeLanguage(pre) || label, code: clip(pre.textContent.replace(/\\n$/, '')) };
+    }
+
+    // --- Walk the conversation in document order ---
+    function visit(el) {
+        if (hidden(el) || el.matches('[contenteditable]')) return;
+        const tag = el.tagName.toLowerCase();
+
+        if (isTerminal(el)) {
+            flushProse('agent');
+            entries.push(terminalEntry(el));
+            return;
+        }
+        if (isUserPrompt(el)) {
+            flushProse('agent');
+            entries.push({ type: 'user', text: clip(textOf(el)) });
+            return;
+        }
+        if (tag === 'pre' || (tag !== 'p' && el.querySelector('pre'))) {
+            const code = tag === 'pre'
+                ? { type: 'code', language: codeLanguage(el), code: clip(el.textContent.replace(/\\n$/, '')) }
+                : codeBlock(el);
+            if (code) {
+                flushProse('agent');
+                entries.push(code);
+                return;
+            }
+        }
+
+        if (el.querySelector('button, [role="button"]') && !el.querySelector('pre, p, ul, ol')) {
+            const approval = approvalEntry(el);
+            if (approval) {
+                flushProse('agent');
+                entries.push(approval);
+                return;
+            }
+        }
+
+        if (el.children.length <= 6 && !/^(p|li|h[1-6]|blockquote|table)$/.test(tag)) {
+            const step = stepEntry(el);
+            if (step) {
+                flushProse('agent');
+                entries.push(step);
+                return;
+            }
+        }
+
+        if (/^h[1-6]$/.test(tag)) {
+            prose.push('#'.repeat(parseInt(tag[1])) + ' ' + inline(el).trim());
+        } else if (tag === 'p') {
+            const text = inline(el).trim();
+            if (text) prose.push(text);
+        } else if (tag === 'ul' || tag === 'ol') {
+            prose.push(listMarkdown(el, 0));
+        } else if (tag === 'blockquote') {
+            prose.push(inline(el).trim().split('\\n').map(l => '> ' + l).join('\\n'));
+        } else if (tag === 'table') {
+            prose.push(tableMarkdown(el));
+        } else if (tag === 'button' || tag === 'svg' || tag === 'style' || tag === 'script') {
+            return;
+        } else {
+            // Container: loose text directly inside it counts as a paragraph
+            let loose = '';
+            for (const child of el.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    loose += child.textContent;
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (/^(code|strong|b|em|i|a|span)$/i.test(child.tagName) && !child.querySelector('pre, p, div')) {
+                        loose += inline(child);
+                        continue;
+                    }
+                    if (loose.trim()) prose.push(loose.replace(/\\s+/g, ' ').trim());
+                    loose = '';
+                    visit(child);
+                }
+            }
+            if (loose.trim()) prose.push(loose.replace(/\\s+/g, ' ').trim());
+        }
+    }
+
+    // --- Scope ---
+    // The conversation is the common ancestor of the first user prompt and
+    // the last content block; that leaves out the header and input box.
+    function commonAncestor(a, b) {
+        let node = a;
+        while (node && !node.contains(b)) node = node.parentElement;
+        return node;
+    }
+
+    const prompts = Array.from(cascade.querySelectorAll('*')).filter(el =>
+        !el.closest('[contenteditable]') && isUserPrompt(el) &&
+        !(el.parentElement && el.parentElement !== cascade && isUserPrompt(el.parentElement))
+    );
+    const blocks = cascade.querySelectorAll('p, pre, ul, ol, table, .xterm');
+    const first = prompts[0] || blocks[0];
+    const last = blocks[blocks.length - 1] || prompts[prompts.length - 1];
+
+    let scope = first && last ? commonAncestor(first, last) : null;
+    if (!scope || scope === cascade) {
+        // Can't narrow it down - walk everything except the input area
+        scope = cascade;
+    }
+
+    visit(scope);
+    flushProse('agent');
+
+    return { found: true, entries };
+})()`;
+
+function hash(text) {
+    return createHash('sha1').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Give each entry a stable ID.
+ * User prompts are keyed by their text (and how often it appeared before);
+ * everything else by the prompt it answers plus its position and type, so
+ * an agent reply keeps its ID while it is still being written.
+ */
+export function assignIds(entries) {
+    const seenPrompts = new Map();
+    let anchor = 'start';
+    let position = 0;
+
+    return entries.map(entry => {
+        if (entry.type === 'user') {
+            const occurrence = seenPrompts.get(entry.text) || 0;
+            seenPrompts.set(entry.text, occurrence + 1);
+            anchor = hash(`user\n${entry.text}\n${occurrence}`);
+            position = 0;
+            return { id: anchor, ...entry };
+        }
+
+        position++;
+        return { id: hash(`${anchor}\n${position}\n${entry.type}`), ...entry };
+    });
+}
+
+/**
+ * Parse the current conversation into typed entries
+ * Returns { messages, count, capturedAt } or null when no chat is open
+ */
+export async function getMessages() {
+    const match = await Session.evaluateInContexts(PARSE_SCRIPT, {
+        key: 'cascade',
+        accept: value => !!value?.found,
+        timeout: 10000
+    });
+    if (!match) return null;
+
+    const messages = assignIds(match.value.entries || []);
+    return {
+        messages,
+        count: messages.length,
+        capturedAt: new Date().toISOString()
+    };
+}
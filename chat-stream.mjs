@@ -5,17 +5,40 @@
  * - Finds execution contexts in webviews
  * - Locates the #cascade element (chat container)
  * - Captures and streams HTML changes
+ *
+ * Push mode: a MutationObserver inside the cascade context reports DOM
+ * changes through a Runtime.addBinding callback, and captures run only
+ * after a change (debounced). Falls back to polling if the binding
+ * cannot be installed.
+ *
+ * Every capture also reads the agent's status for AgentState.
  */
 
 import WebSocket from 'ws';
+import { config } from './config.mjs';
+import * as AgentState from './agent-state.mjs';
+import * as Metrics from './metrics.mjs';
 
-const CDP_PORTS = [9222, 9000, 9001, 9002, 9003];
+// The editor's debugging port first, then other ports it may be on
+const CDP_PORTS = [...new Set([config.cdpPort, ...config.cdpScanPorts])];
+
+const BINDING_NAME = '__agMobileChatChanged';
+const DEBOUNCE_MS = 50;      // Quiet period after a DOM change before capturing
+const MAX_WAIT_MS = 250;     // Capture at least this often while the DOM keeps changing
+const HEARTBEAT_MS = 5000;   // Re-check the observer (webview reloads drop it)
+const CALL_TIMEOUT = 5000;
+const CAPTURE_TIMEOUT = 10000; // Capturing collects every stylesheet, which can be slow
 
 // State
 let connection = null;
 let onChatUpdate = null;
 let pollInterval = null;
 let lastHash = null;
+let streamMode = null; // 'push' | 'poll'
+let debounceTimer = null;
+let firstChangeAt = 0;
+let capturing = false;
+let captureQueued = false;
 
 /**
  * Simple hash function
@@ -70,47 +93,76 @@ async function connectCDP(wsUrl) {
 
     let idCounter = 1;
     const contexts = [];
+    const listeners = new Map();
+    const pending = new Map(); // id -> { resolve, reject, timer }
     let cascadeContextId = null;
 
-    // Call CDP method
-    const call = (method, params) => new Promise((resolve, reject) => {
+    // Call CDP method - rejects on timeout or when the socket closes, so a
+    // dropped IDE never leaves a capture waiting forever
+    const call = (method, params, timeout = CALL_TIMEOUT) => new Promise((resolve, reject) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+            reject(new Error('CDP connection closed'));
+            return;
+        }
         const id = idCounter++;
-        const handler = (msg) => {
-            const data = JSON.parse(msg.toString());
-            if (data.id === id) {
-                ws.off('message', handler);
-                if (data.error) reject(new Error(data.error.message));
-                else resolve(data.result);
-            }
-        };
-        ws.on('message', handler);
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            reject(new Error(`Timeout: ${method}`));
+        }, timeout);
+        pending.set(id, { resolve, reject, timer });
         ws.send(JSON.stringify({ id, method, params }));
     });
 
-    // Track execution contexts
+    ws.on('close', () => {
+        for (const { reject, timer } of pending.values()) {
+            clearTimeout(timer);
+            reject(new Error('CDP connection closed'));
+        }
+        pending.clear();
+    });
+
+    // Match responses to calls, track execution contexts
     ws.on('message', (msg) => {
         try {
             const data = JSON.parse(msg.toString());
+            if (data.id && pending.has(data.id)) {
+                const { resolve, reject, timer } = pending.get(data.id);
+                pending.delete(data.id);
+                clearTimeout(timer);
+                if (data.error) reject(new Error(data.error.message));
+                else resolve(data.result);
+                return;
+            }
+
             if (data.method === 'Runtime.executionContextCreated') {
                 contexts.push(data.params.context);
             } else if (data.method === 'Runtime.executionContextDestroyed') {
                 const idx = contexts.findIndex(c => c.id === data.params.executionContextId);
                 if (idx !== -1) contexts.splice(idx, 1);
             }
+
+            if (data.method && listeners.has(data.method)) {
+                listeners.get(data.method).forEach(handler => handler(data.params));
+            }
         } catch (e) { }
     });
 
-    // Enable runtime to receive context events
+    // Subscribe to a CDP event
+    const on = (method, handler) => {
+        if (!listeners.has(method)) listeners.set(method, new Set());
+        listeners.get(method).add(handler);
+    };
+
+    // Runtime.enable reports every existing context before it resolves
     await call('Runtime.enable', {});
-    await new Promise(r => setTimeout(r, 500)); // Let contexts load
 
-    return { ws, call, contexts, getCascadeContextId: () => cascadeContextId, setCascadeContextId: (id) => cascadeContextId = id };
+    return { ws, call, on, contexts, getCascadeContextId: () => cascadeContextId, setCascadeContextId: (id) => cascadeContextId = id };
 }
 
 /**
  * Find the context that contains #cascade (the chat element)
  */
-async function findCascadeContext(cdp) {
+const findCascadeContext = Metrics.timeCdpFunction('findCascadeContext', async (cdp) => {
     const SCRIPT = `(() => {
         const cascade = document.getElementById('cascade');
         if (!cascade) return { found: false };
@@ -152,13 +204,13 @@ async function findCascadeContext(cdp) {
     }
 
     return null;
-}
+});
 
 /**
  * Capture the chat HTML + CSS from #cascade
  * Returns raw HTML with CSS to preserve exact IDE styling
  */
-async function captureChat(cdp, contextId) {
+const captureChat = Metrics.timeCdpFunction('captureChat', async (cdp, contextId) => {
     const SCRIPT = `(() => {
         const cascade = document.getElementById('cascade');
         if (!cascade) return { error: 'cascade not found' };
@@ -373,6 +425,40 @@ async function captureChat(cdp, contextId) {
             }
         }
 
+        // --- SPLIT INTO MESSAGE BLOCKS ---
+
+        // The message list is taken to be the element with the most children
+        // near the top of the tree (code blocks, lists and terminals excluded).
+        // Any choice reassembles correctly; a good one keeps patches small.
+        const fullHtml = clone.outerHTML;
+        let list = clone;
+        let listScore = clone.children.length;
+        const findList = (el, depth) => {
+            if (depth > 12) return;
+            for (const child of el.children) {
+                if (child.matches('pre, code, table, ul, ol, svg, .xterm, [class*="terminal"], [class*="Terminal"]')) continue;
+                if (child.children.length > listScore) {
+                    list = child;
+                    listScore = child.children.length;
+                }
+                findList(child, depth + 1);
+            }
+        };
+        findList(clone, 0);
+
+        const seenKeys = new Set();
+        const blocks = Array.from(list.children).map((child, i) => {
+            let key = child.getAttribute('data-message-id') || child.getAttribute('data-id') || child.id || ('i' + i);
+            if (seenKeys.has(key)) key += '#' + i;
+            seenKeys.add(key);
+            return { key, html: child.outerHTML };
+        });
+
+        // The shell is everything around the list, with the list emptied and marked
+        while (list.firstChild) list.removeChild(list.firstChild);
+        list.setAttribute('data-ag-list', '');
+        const shell = clone.outerHTML;
+
         // --- CAPTURE CSS ---
 
         let css = '';
@@ -398,7 +484,10 @@ async function captureChat(cdp, contextId) {
         variables += '}';
         
         return {
-            html: clone.outerHTML,
+            agent: (${AgentState.STATUS_SCRIPT})(cascade),
+            html: fullHtml,
+            shell,
+            blocks,
             css: variables + css,
             bodyBg: computed.backgroundColor,
             bodyColor: computed.color
@@ -410,7 +499,7 @@ async function captureChat(cdp, contextId) {
             expression: SCRIPT,
             returnByValue: true,
             contextId: contextId
-        });
+        }, CAPTURE_TIMEOUT);
 
         if (result.result?.value && !result.result.value.error) {
             return result.result.value;
@@ -418,14 +507,160 @@ async function captureChat(cdp, contextId) {
     } catch (e) { }
 
     return null;
+});
+
+/**
+ * Install a MutationObserver on #cascade that calls the binding on change.
+ * Safe to run repeatedly - returns { installed, existing } so callers know
+ * whether the observer had been lost (e.g. after a webview reload).
+ */
+const installObserver = Metrics.timeCdpFunction('installObserver', async (cdp, contextId) => {
+    const SCRIPT = `(() => {
+        const cascade = document.getElementById('cascade');
+        if (!cascade) return { installed: false };
+        if (typeof window.${BINDING_NAME} !== 'function') return { installed: false };
+
+        const current = window.__agMobileObserver;
+        if (current && current.target === cascade) {
+            return { installed: true, existing: true };
+        }
+        if (current) current.observer.disconnect();
+
+        const observer = new MutationObserver((records) => {
+            // Ignore typing in the input box - it is stripped from captures anyway
+            const onlyInput = records.every(r => {
+                const el = r.target.nodeType === 1 ? r.target : r.target.parentElement;
+                return el && el.closest('[contenteditable]');
+            });
+            if (onlyInput) return;
+            try { window.${BINDING_NAME}('changed'); } catch (e) { }
+        });
+        observer.observe(cascade, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['class', 'open', 'aria-expanded']
+        });
+        window.__agMobileObserver = { observer, target: cascade };
+        return { installed: true, existing: false };
+    })()`;
+
+    try {
+        const result = await cdp.call('Runtime.evaluate', {
+            expression: SCRIPT,
+            returnByValue: true,
+            contextId
+        });
+        return result.result?.value || { installed: false };
+    } catch (e) {
+        return { installed: false };
+    }
+});
+
+/**
+ * Disconnect the in-page observer (fire and forget)
+ */
+function removeObserver(cdp) {
+    const contextId = cdp.getCascadeContextId();
+    if (!contextId) return;
+    cdp.call('Runtime.evaluate', {
+        expression: `(() => {
+            if (window.__agMobileObserver) window.__agMobileObserver.observer.disconnect();
+            window.__agMobileObserver = null;
+        })()`,
+        contextId
+    }).catch(() => { });
+}
+
+/**
+ * Capture the chat and notify if it changed.
+ * Overlapping requests are coalesced into one follow-up capture.
+ */
+async function captureAndNotify() {
+    const cdp = connection;
+    if (!cdp) return;
+    if (capturing) {
+        captureQueued = true;
+        return;
+    }
+
+    capturing = true;
+    try {
+        const contextId = await findCascadeContext(cdp);
+        if (!contextId) return;
+
+        const chat = await captureChat(cdp, contextId);
+        if (chat && cdp === connection) {
+            // The agent's status can change without the transcript changing
+            AgentState.update(chat.agent);
+        }
+        if (chat && chat.html && cdp === connection) {
+            const hash = hashString(chat.html);
+            if (hash !== lastHash) {
+                lastHash = hash;
+                if (onChatUpdate) {
+                    onChatUpdate(chat);
+                }
+            }
+        }
+    } finally {
+        capturing = false;
+        if (captureQueued) {
+            captureQueued = false;
+            scheduleCapture();
+        }
+    }
+}
+
+/**
+ * Debounce DOM change notifications, capped so a streaming
+ * response still produces an update every MAX_WAIT_MS
+ */
+function scheduleCapture() {
+    const now = Date.now();
+    if (!debounceTimer) firstChangeAt = now;
+    clearTimeout(debounceTimer);
+
+    const wait = Math.min(DEBOUNCE_MS, Math.max(0, firstChangeAt + MAX_WAIT_MS - now));
+    debounceTimer = setTimeout(() => {
+        debounceTimer = null;
+        captureAndNotify();
+    }, wait);
+}
+
+/**
+ * Switch the connection to push mode. Returns false if the binding
+ * or observer could not be installed.
+ */
+async function enablePushMode(cdp, contextId) {
+    try {
+        await cdp.call('Runtime.addBinding', { name: BINDING_NAME });
+    } catch (e) {
+        console.log(`⚠️ Runtime.addBinding failed: ${e.message}`);
+        return false;
+    }
+
+    cdp.on('Runtime.bindingCalled', (params) => {
+        if (params.name === BINDING_NAME) scheduleCapture();
+    });
+
+    const result = await installObserver(cdp, contextId);
+    return result.installed;
 }
 
 /**
  * Start streaming chat updates
+ * Uses push mode when possible; pollMs is the fallback polling interval
  */
-export async function startChatStream(updateCallback, pollMs = 2000) {
+export async function startChatStream(updateCallback, pollMs = config.chatPollMs) {
     onChatUpdate = updateCallback;
 
+    // Already streaming - just take over the callback
+    if (connection) {
+        return { success: true, mode: streamMode };
+    }
+
     // Find and connect to target
     const targets = await findTargets();
     if (targets.length === 0) {
@@ -443,32 +678,40 @@ export async function startChatStream(updateCallback, pollMs = 2000) {
                 console.log(`✅ Found cascade in context ${contextId}`);
                 connection = cdp;
 
-                // Start polling
-                const poll = async () => {
-                    if (!connection) return;
-
-                    const contextId = await findCascadeContext(connection);
-                    if (!contextId) return;
-
-                    const chat = await captureChat(connection, contextId);
-                    if (chat && chat.html) {
-                        const hash = hashString(chat.html);
-                        if (hash !== lastHash) {
-                            lastHash = hash;
-                            if (onChatUpdate) {
-                                onChatUpdate(chat);
-                            }
+                cdp.ws.on('close', () => {
+                    if (connection !== cdp) return;
+                    console.log('🔌 Chat stream connection closed');
+                    stopChatStream();
+                });
+
+                if (await enablePushMode(cdp, contextId)) {
+                    streamMode = 'push';
+
+                    // Observer is lost when the webview reloads - re-install it
+                    // and capture once, since changes may have been missed
+                    const heartbeat = async () => {
+                        if (connection !== cdp) return;
+                        const contextId = await findCascadeContext(cdp);
+                        if (!contextId) return;
+                        const result = await installObserver(cdp, contextId);
+                        if (result.installed && !result.existing) {
+                            scheduleCapture();
                         }
-                    }
-                };
+                    };
+                    pollInterval = setInterval(heartbeat, HEARTBEAT_MS);
+                } else {
+                    streamMode = 'poll';
+                    pollInterval = setInterval(captureAndNotify, pollMs);
+                }
 
                 // Initial capture
-                await poll();
-
-                // Start polling interval
-                pollInterval = setInterval(poll, pollMs);
+                await captureAndNotify();
+                if (connection !== cdp) {
+                    return { success: false, error: 'Chat stream connection closed' };
+                }
 
-                return { success: true, target: target.title };
+                console.log(`📡 Chat stream started (${streamMode} mode)`);
+                return { success: true, target: target.title, mode: streamMode };
             } else {
                 cdp.ws.close();
             }
@@ -488,12 +731,24 @@ export function stopChatStream() {
         clearInterval(pollInterval);
         pollInterval = null;
     }
+    if (debounceTimer) {
+        clearTimeout(debounceTimer);
+        debounceTimer = null;
+    }
     if (connection) {
-        connection.ws.close();
+        const cdp = connection;
         connection = null;
+        removeObserver(cdp);
+        // Give the observer cleanup a moment to go out before closing
+        setTimeout(() => cdp.ws.close(), 100);
     }
     lastHash = null;
     onChatUpdate = null;
+    streamMode = null;
+    // A capture still running on the old connection must not block the next stream
+    capturing = false;
+    captureQueued = false;
+    AgentState.markUnavailable();
 }
 
 /**
@@ -529,3 +784,10 @@ export async function getChatSnapshot() {
 export function isStreaming() {
     return connection !== null && pollInterval !== null;
 }
+
+/**
+ * Get how updates are detected: 'push', 'poll', or null when stopped
+ */
+export function getStreamMode() {
+    return streamMode;
+}
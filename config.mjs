@@ -0,0 +1,409 @@
+/**
+ * Config - Settings shared by the server, the launcher and every module
+ *
+ * Each setting comes from (later wins):
+ *   1. the default below
+ *   2. data/config.json (or the file given by --config / MOBILE_CONFIG)
+ *   3. its environment variable
+ *   4. its command-line flag (--port 4000 or --port=4000)
+ * Values are validated once at startup; anything invalid (including
+ * unknown settings and flags) is reported together and the process exits,
+ * rather than running with a surprise.
+ *
+ * PINs can only come from the file or the environment (flags show up in
+ * the process list) and are never exposed by getPublic().
+ */
+
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, existsSync } from 'fs';
+import { isIP } from 'net';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = join(__dirname, 'data', 'config.json');
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+/**
+ * key: { type, default, env, flag, description, ...limits }
+ * type: 'int' | 'number' | 'boolean' | 'string' | 'list' | 'portList' | 'ipList' | 'thresholds' | 'fallbacks'
+ */
+const OPTIONS = {
+    // Network
+    port: { type: 'int', default: 3001, min: 1, max: 65535, env: 'MOBILE_PORT', flag: '--port', description: 'HTTP port' },
+    https: { type: 'boolean', default: false, env: 'MOBILE_HTTPS', flag: '--https', description: 'Serve HTTPS with a local CA' },
+    httpsPort: { type: 'int', default: 3443, min: 1, max: 65535, env: 'HTTPS_PORT', flag: '--https-port', description: 'HTTPS port' },
+    bind: { type: 'list', default: ['0.0.0.0'], env: 'MOBILE_BIND', flag: '--bind', description: 'Addresses to listen on' },
+    corsOrigins: { type: 'list', default: [], env: 'MOBILE_CORS_ORIGINS', flag: '--cors-origins', description: 'Other web origins allowed to call the API' },
+    allowedIps: { type: 'ipList', default: [], env: 'MOBILE_ALLOWED_IPS', flag: '--allowed-ips', description: 'Client IPs / CIDR ranges allowed to connect' },
+
+    // Editor
+    cdpPort: { type: 'int', default: 9222, min: 1, max: 65535, env: 'CDP_PORT', flag: '--cdp-port', description: 'Antigravity remote debugging port' },
+    cdpScanPorts: { type: 'portList', default: [9000, 9001, 9002, 9003], env: 'CDP_SCAN_PORTS', flag: '--cdp-scan-ports', description: 'Extra debugging ports the chat stream looks at' },
+    antigravityPath: { type: 'string', default: '', env: 'ANTIGRAVITY_PATH', flag: '--antigravity-path', description: 'Antigravity executable (launcher)' },
+
+    // Timings
+    chatPollMs: { type: 'int', default: 2000, min: 250, max: 60000, env: 'CHAT_POLL_MS', flag: '--chat-poll-ms', description: 'Chat capture interval when live updates are unavailable' },
+    workspacePollMs: { type: 'int', default: 5000, min: 1000, max: 300000, env: 'WORKSPACE_POLL_MS', flag: '--workspace-poll-ms', description: 'Workspace detection interval' },
+
+    quotaSampleMinutes: { type: 'number', default: 5, min: 0.5, max: 24 * 60, env: 'QUOTA_SAMPLE_MINUTES', flag: '--quota-sample-minutes', description: 'How often quota is recorded for history' },
+    quotaHistoryDays: { type: 'number', default: 7, min: 1, max: 365, env: 'QUOTA_HISTORY_DAYS', flag: '--quota-history-days', description: 'How long quota history is kept' },
+    quotaThresholds: {
+        type: 'thresholds', default: {}, env: 'QUOTA_THRESHOLDS', flag: '--quota-thresholds',
+        description: 'Warning/danger percent per model, e.g. "*=30/10,Claude Opus 4.5=50/20" ("*" = every model, built in 30/10)'
+    },
+
+    // Language server gateway
+    lsMethods: { type: 'list', default: ['GetUserStatus'], env: 'LS_METHODS', flag: '--ls-methods', description: 'LanguageServerService methods reachable via /api/ls/:method' },
+    lsCacheSeconds: { type: 'number', default: 15, min: 0, max: 3600, env: 'LS_CACHE_SECONDS', flag: '--ls-cache-seconds', description: 'How long /api/ls responses are reused' },
+
+    // Model fallback
+    modelFallbacks: {
+        type: 'fallbacks', default: {}, env: 'MODEL_FALLBACKS', flag: '--model-fallbacks',
+        description: 'Models to switch to when one runs out, e.g. "Claude Opus 4.5 (Thinking)>Claude Sonnet 4.5>Gemini 3 Pro (High)"'
+    },
+    modelFallbackRestore: { type: 'boolean', default: true, env: 'MODEL_FALLBACK_RESTORE', flag: '--model-fallback-restore', description: 'Switch back to the original model once its quota resets' },
+
+    // Authentication
+    pin: { type: 'string', default: '', pattern: /^(\d{4,6})?$/, hint: '4-6 digits', env: 'MOBILE_PIN', secret: true, description: 'Operator PIN (4-6 digits)' },
+    viewerPin: { type: 'string', default: '', pattern: /^(\d{4,6})?$/, hint: '4-6 digits', env: 'MOBILE_VIEWER_PIN', secret: true, description: 'Read-only viewer PIN (4-6 digits)' },
+    metricsToken: { type: 'string', default: '', env: 'METRICS_TOKEN', secret: true, description: 'Bearer token required by /metrics (open when empty)' },
+    sessionIdleHours: { type: 'number', default: 24 * 7, min: 0.1, env: 'SESSION_IDLE_HOURS', flag: '--session-idle-hours', description: 'Log out devices unused for this long' },
+    sessionMaxDays: { type: 'number', default: 30, min: 0.1, env: 'SESSION_MAX_DAYS', flag: '--session-max-days', description: 'Log out devices this long after login' },
+    pairingTtlMinutes: { type: 'number', default: 5, min: 0.5, max: 24 * 60, env: 'PAIRING_TTL_MINUTES', flag: '--pairing-ttl-minutes', description: 'How long a pairing QR code works' },
+
+    // Files
+    filesDeny: { type: 'list', default: [], env: 'FILES_DENY', flag: '--files-deny', description: 'Extra globs hidden from the file browser' },
+    filesReadonly: { type: 'list', default: [], env: 'FILES_READONLY', flag: '--files-readonly', description: 'Extra globs that can be viewed but not saved' },
+    textExtensions: {
+        type: 'list',
+        default: ['.txt', '.md', '.js', '.mjs', '.ts', '.json', '.html', '.css', '.py', '.sh', '.bat', '.yml', '.yaml', '.xml', '.csv', '.log', '.gitignore'],
+        env: 'TEXT_EXTENSIONS', flag: '--text-extensions', description: 'Extensions the file viewer opens as text'
+    },
+    fileViewMaxMb: { type: 'number', default: 1, min: 0.01, max: 100, env: 'FILE_VIEW_MAX_MB', flag: '--file-view-max-mb', description: 'Largest text file the viewer opens' },
+    imageMaxMb: { type: 'number', default: 10, min: 0.01, max: 500, env: 'IMAGE_MAX_MB', flag: '--image-max-mb', description: 'Largest image the viewer serves' },
+    uploadMaxMb: { type: 'number', default: 10, min: 0.01, max: 500, env: 'UPLOAD_MAX_MB', flag: '--upload-max-mb', description: 'Largest image a phone can upload' },
+
+    // Privacy
+    redactSecrets: { type: 'boolean', default: true, env: 'REDACT_SECRETS', flag: '--redact-secrets', description: 'Mask secrets in chat, files and logs' }
+};
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+function parseValue(option, raw) {
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+
+    switch (option.type) {
+        case 'int':
+        case 'number': {
+            const value = typeof text === 'number' ? text : Number(text);
+            if (text === '' || !Number.isFinite(value)) throw new Error('must be a number');
+            if (option.type === 'int' && !Number.isInteger(value)) throw new Error('must be a whole number');
+            if (option.min !== undefined && value < option.min) throw new Error(`must be at least ${option.min}`);
+            if (option.max !== undefined && value > option.max) throw new Error(`must be at most ${option.max}`);
+            return value;
+        }
+        case 'boolean': {
+            if (typeof text === 'boolean') return text;
+            const value = String(text).toLowerCase();
+            if (TRUE_VALUES.includes(value)) return true;
+            if (FALSE_VALUES.includes(value)) return false;
+            throw new Error('must be true or false');
+        }
+        case 'string':
+            if (typeof text !== 'string' && typeof text !== 'number') throw new Error('must be a string');
+            if (option.pattern && !option.pattern.test(String(text))) throw new Error(`must be ${option.hint}`);
+            return String(text);
+        case 'list':
+        case 'portList':
+        case 'ipList': {
+            const items = Array.isArray(text) ? text.map(v => String(v).trim()) : String(text).split(',').map(v => v.trim());
+            const list = items.filter(Boolean);
+            if (option.type === 'list') return list;
+            if (option.type === 'ipList') {
+                const bad = list.find(item => !isIpOrRange(item));
+                if (bad) throw new Error(`"${bad}" is not an IP address or CIDR range`);
+                return list;
+            }
+            return list.map(item => {
+                const port = Number(item);
+                if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`"${item}" is not a valid port`);
+                return port;
+            });
+        }
+        case 'thresholds':
+            return parseThresholds(text);
+        case 'fallbacks':
+            return parseFallbacks(text);
+    }
+    throw new Error(`unknown type ${option.type}`);
+}
+
+// "192.168.1.5", "10.0.0.0/8", "fd00::/8"
+function isIpOrRange(entry) {
+    const [address, prefix, extra] = entry.split('/');
+    const family = isIP(address);
+    if (!family || extra !== undefined) return false;
+    if (prefix === undefined) return true;
+    const bits = Number(prefix);
+    return /^\d+$/.test(prefix) && bits <= (family === 4 ? 32 : 128);
+}
+
+// "A>B>C,D>E" (each chain: a model, then its fallbacks in order), or in the
+// file { "A": ["B", "C"], "D": ["E"] }
+function parseFallbacks(text) {
+    const entries = text && typeof text === 'object' && !Array.isArray(text)
+        ? Object.entries(text)
+        : (Array.isArray(text) ? text : String(text).split(',')).filter(chain => String(chain).trim()).map(chain => {
+            const [model, ...rest] = String(chain).split('>');
+            return [model, rest];
+        });
+
+    const fallbacks = {};
+    for (const [model, list] of entries) {
+        if (!Array.isArray(list)) throw new Error(`"${model}" must map to a list of models`);
+        const chain = list.map(m => String(m).trim()).filter(Boolean);
+        if (!model.trim() || chain.length === 0) throw new Error(`"${model.trim()}" needs at least one fallback model`);
+        fallbacks[model.trim()] = chain;
+    }
+    return fallbacks;
+}
+
+// "*=30/10,Claude Opus 4.5=50/20", or in the file
+// { "*": "30/10", "Claude Opus 4.5": { "warning": 50, "danger": 20 } }
+function parseThresholds(text) {
+    const entries = text && typeof text === 'object' && !Array.isArray(text)
+        ? Object.entries(text)
+        : String(text).split(',').filter(item => item.trim()).map(item => {
+            const split = item.lastIndexOf('=');
+            if (split < 1) throw new Error(`"${item.trim()}" must look like model=warning/danger`);
+            return [item.slice(0, split), item.slice(split + 1)];
+        });
+
+    const thresholds = {};
+    for (const [model, raw] of entries) {
+        const [warning, danger] = raw && typeof raw === 'object'
+            ? [raw.warning, raw.danger]
+            : String(raw).split('/').map(v => v.trim());
+        const values = [Number(warning), Number(danger)];
+        if (warning === '' || danger === '' || values.some(v => !Number.isFinite(v) || v < 0 || v > 100)) {
+            throw new Error(`"${model.trim()}" needs warning/danger percentages between 0 and 100`);
+        }
+        if (values[0] <= values[1]) throw new Error(`"${model.trim()}" warning must be above danger`);
+        thresholds[model.trim()] = { warning: values[0], danger: values[1] };
+    }
+    return thresholds;
+}
+
+// Flags that aren't settings - help, and the launcher's own options
+// (flag -> whether it takes a value). Anything else unknown is an error.
+const OTHER_FLAGS = {
+    '--help': false,
+    '-h': false,
+    '--pair': false,
+    '--name': true,
+    '--viewer': false,
+    '--no-qr': false
+};
+
+// "--port 4000", "--port=4000", and bare "--https" for booleans
+function readFlags(argv) {
+    const values = {};
+    const errors = [];
+    const consumed = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-')) {
+            errors.push(`Unexpected argument "${arg}"`);
+            continue;
+        }
+        const [flag, inline] = arg.split(/=(.*)/s);
+
+        if (Object.hasOwn(OTHER_FLAGS, flag)) {
+            if (OTHER_FLAGS[flag] && inline === undefined) i++;
+            continue;
+        }
+
+        if (flag === '--config') {
+            const value = inline ?? argv[i + 1];
+            if (inline === undefined) i++;
+            if (!value || value.startsWith('--')) {
+                errors.push('--config needs a file path');
+            } else {
+                consumed.push(`--config=${resolve(value)}`);
+            }
+            continue;
+        }
+
+        const key = Object.keys(OPTIONS).find(k => OPTIONS[k].flag === flag);
+        if (!key) {
+            errors.push(`Unknown flag ${flag}`);
+            // Its value isn't a stray argument of its own
+            if (inline === undefined && argv[i + 1] !== undefined && !argv[i + 1].startsWith('-')) i++;
+            continue;
+        }
+
+        let value = inline;
+        if (value === undefined) {
+            const next = argv[i + 1];
+            if (OPTIONS[key].type === 'boolean' && (next === undefined || next.startsWith('--'))) {
+                value = 'true';
+            } else if (next === undefined || next.startsWith('--')) {
+                errors.push(`${flag} needs a value`);
+                continue;
+            } else {
+                value = next;
+                i++;
+            }
+        }
+        values[key] = value;
+        consumed.push(`${flag}=${value}`);
+    }
+    return { values, errors, consumed };
+}
+
+function findConfigFile(argv) {
+    const index = argv.findIndex(a => a === '--config' || a.startsWith('--config='));
+    if (index !== -1) {
+        const arg = argv[index];
+        const value = arg.includes('=') ? arg.slice('--config='.length) : argv[index + 1];
+        // A missing value is reported by readFlags()
+        if (value && !value.startsWith('--')) return { path: resolve(value), explicit: true };
+    }
+    if (process.env.MOBILE_CONFIG) return { path: resolve(process.env.MOBILE_CONFIG), explicit: true };
+    return { path: DEFAULT_FILE, explicit: false };
+}
+
+function load(argv) {
+    const errors = [];
+    const values = {};
+    const sources = {};
+
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        values[key] = option.default;
+        sources[key] = 'default';
+    }
+
+    const apply = (key, raw, source, label) => {
+        try {
+            values[key] = parseValue(OPTIONS[key], raw);
+            sources[key] = source;
+        } catch (e) {
+            const got = OPTIONS[key].secret ? '' : ` (got ${JSON.stringify(raw)})`;
+            errors.push(`${label}: ${e.message}${got}`);
+        }
+    };
+
+    // 1. File
+    const file = findConfigFile(argv);
+    let fileUsed = null;
+    if (existsSync(file.path)) {
+        try {
+            const data = JSON.parse(readFileSync(file.path, 'utf-8'));
+            if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('must contain a JSON object');
+            for (const [key, raw] of Object.entries(data)) {
+                if (key.startsWith('$')) continue; // "$comment" and similar
+                if (!OPTIONS[key]) {
+                    errors.push(`${file.path}: unknown setting "${key}"`);
+                    continue;
+                }
+                apply(key, raw, 'file', `${file.path} → ${key}`);
+            }
+            fileUsed = file.path;
+        } catch (e) {
+            errors.push(`${file.path}: ${e.message}`);
+        }
+    } else if (file.explicit) {
+        errors.push(`Config file not found: ${file.path}`);
+    }
+
+    // 2. Environment
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        const raw = process.env[option.env];
+        if (raw !== undefined && raw.trim() !== '') apply(key, raw, 'env', option.env);
+    }
+
+    // 3. Flags
+    const flags = readFlags(argv);
+    errors.push(...flags.errors);
+    for (const [key, raw] of Object.entries(flags.values)) {
+        apply(key, raw, 'flag', OPTIONS[key].flag);
+    }
+
+    // Cross-field checks
+    if (!errors.length) {
+        values.textExtensions = values.textExtensions.map(ext => ext.toLowerCase());
+        const badExt = values.textExtensions.find(ext => !ext.startsWith('.'));
+        if (badExt) errors.push(`textExtensions: "${badExt}" must start with a dot`);
+        if (values.https && values.httpsPort === values.port) errors.push('httpsPort: must differ from port');
+        if (values.cdpPort === values.port) errors.push('cdpPort: must differ from port');
+        if (values.viewerPin && !values.pin) errors.push('viewerPin: needs a main PIN as well');
+        if (values.viewerPin && values.viewerPin === values.pin) errors.push('viewerPin: must differ from the main PIN');
+        const badMethod = values.lsMethods.find(method => !/^[A-Z][A-Za-z0-9]*$/.test(method));
+        if (badMethod) errors.push(`lsMethods: "${badMethod}" is not a method name (e.g. GetUserStatus)`);
+    }
+
+    return { values, sources, errors, file: fileUsed, args: flags.consumed };
+}
+
+const loaded = load(process.argv.slice(2));
+
+// --help has to work while the settings are broken; invalid values were
+// left at their defaults
+const helpRequested = process.argv.includes('--help') || process.argv.includes('-h');
+
+if (loaded.errors.length && !helpRequested) {
+    console.error('❌ Invalid configuration:');
+    loaded.errors.forEach(error => console.error(`   - ${error}`));
+    console.error('   Run with --help for the available settings.');
+    process.exit(1);
+}
+
+/**
+ * The validated settings
+ */
+export const config = Object.freeze(loaded.values);
+
+/**
+ * Settings without secrets, and where each value came from (for /api/config)
+ */
+export function getPublic() {
+    const settings = {};
+    const sources = {};
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        if (option.secret) {
+            settings[key] = config[key] ? '(set)' : '';
+        } else {
+            settings[key] = config[key];
+        }
+        sources[key] = loaded.sources[key];
+    }
+    return { settings, sources, file: loaded.file };
+}
+
+/**
+ * The config flags this process was started with, to hand on to a child
+ * (the launcher passes them to the server it starts)
+ */
+export function getCliArgs() {
+    return [...loaded.args];
+}
+
+/**
+ * Help text listing every setting
+ */
+export function describeOptions() {
+    const lines = [];
+    for (const [key, option] of Object.entries(OPTIONS)) {
+        const names = [option.flag, option.env, `"${key}"`].filter(Boolean).join(', ');
+        const fallback = Array.isArray(option.default) ? option.default.join(',')
+            : typeof option.default === 'object' ? Object.keys(option.default).join(',') : String(option.default);
+        lines.push(`  ${names}`);
+        lines.push(`      ${option.description}${option.secret ? '' : ` (default: ${fallback || 'none'})`}`);
+    }
+    return lines.join('\n');
+}
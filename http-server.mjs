@@ -13,23 +13,57 @@
 
 import express from 'express';
 import { createServer } from 'http';
+import { createServer as createHttpsServer } from 'https';
 import { WebSocketServer, WebSocket } from 'ws';
-import { join, dirname, extname, basename, resolve } from 'path';
+import { join, dirname, extname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import { writeFileSync, readFileSync, existsSync, mkdirSync, readdirSync, statSync, watch } from 'fs';
 import { createInterface } from 'readline';
-import { createHash, randomBytes } from 'crypto';
+import { createHash, timingSafeEqual } from 'crypto';
 import multer from 'multer';
+import QRCode from 'qrcode';
 import * as CDP from './cdp-client.mjs';
 import * as ChatStream from './chat-stream.mjs';
+import * as ChatDiff from './chat-diff.mjs';
+import * as ChatParser from './chat-parser.mjs';
+import * as Screencast from './screencast.mjs';
+import * as RemoteInput from './remote-input.mjs';
 import * as QuotaService from './quota-service.mjs';
+import * as QuotaHistory from './quota-history.mjs';
+import * as QuotaAlerts from './quota-alerts.mjs';
+import * as ModelFallback from './model-fallback.mjs';
+import * as ModelCatalog from './model-catalog.mjs';
+import * as LsGateway from './ls-gateway.mjs';
+import * as AgentState from './agent-state.mjs';
+import * as AuthService from './auth-service.mjs';
+import * as LoginGuard from './login-guard.mjs';
+import * as TlsService from './tls-service.mjs';
+import * as Sandbox from './workspace-sandbox.mjs';
+import * as Redaction from './redaction.mjs';
+import * as AuditLog from './audit-log.mjs';
+import * as NetworkPolicy from './network-policy.mjs';
+import * as Config from './config.mjs';
+import * as Metrics from './metrics.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // ============================================================================
-// Configuration
+// Configuration (see config.mjs - file, environment and flags)
 // ============================================================================
-const HTTP_PORT = 3001;
+const { config } = Config;
+
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    console.log(`Usage: node http-server.mjs [options]\n\nSettings (flag, environment variable, "key" in data/config.json):\n${Config.describeOptions()}`);
+    process.exit(0);
+}
+
+const HTTP_PORT = config.port;
+
+// HTTPS with a generated local CA (see tls-service.mjs); plain HTTP then
+// only redirects, except for this machine and the CA download
+const HTTPS_ENABLED = config.https;
+const HTTPS_PORT = config.httpsPort;
+const MB = 1024 * 1024;
 const DATA_DIR = join(__dirname, 'data');
 const UPLOADS_DIR = join(__dirname, 'uploads');
 const MESSAGES_FILE = join(DATA_DIR, 'messages.json');
@@ -38,40 +72,47 @@ const MESSAGES_FILE = join(DATA_DIR, 'messages.json');
 // Authentication (Optional)
 // ============================================================================
 let authEnabled = false;
-let authPinHash = null;
-let validSessions = new Set();
 
-function hashPin(pin) {
-    return createHash('sha256').update(pin).digest('hex');
+// Session for a token, or null. With auth off everyone is an operator.
+function getSession(token, ip) {
+    if (!authEnabled) return { id: null, role: 'operator' };
+    return AuthService.validateSession(token, ip);
 }
 
-function generateSessionToken() {
-    return randomBytes(32).toString('hex');
+function isValidPin(pin) {
+    return pin.length >= 4 && pin.length <= 6 && /^\d+$/.test(pin);
 }
 
-function validateSession(token) {
-    if (!authEnabled) return true;
-    return validSessions.has(token);
+// Optional second PIN that only grants read-only (viewer) access
+function checkViewerPin(viewerPin, pin) {
+    if (!viewerPin) return null;
+    if (!isValidPin(viewerPin)) {
+        console.log('⚠️ Invalid viewer PIN (must be 4-6 digits). Viewer access disabled.');
+        return null;
+    }
+    if (viewerPin === pin) {
+        console.log('⚠️ Viewer PIN must differ from the main PIN. Viewer access disabled.');
+        return null;
+    }
+    return viewerPin;
 }
 
 async function promptForAuth() {
-    // Check for PIN from environment variable (non-interactive mode)
-    if (process.env.MOBILE_PIN) {
-        const pin = process.env.MOBILE_PIN;
-        if (pin.length >= 4 && pin.length <= 6 && /^\d+$/.test(pin)) {
-            authEnabled = true;
-            authPinHash = hashPin(pin);
-            console.log('🔐 Authentication enabled via MOBILE_PIN environment variable');
-            return;
-        } else {
-            console.log('⚠️ Invalid MOBILE_PIN (must be 4-6 digits). Continuing without auth.');
-            return;
-        }
+    // PIN from the config file or MOBILE_PIN (non-interactive mode);
+    // both PINs were validated when the config was loaded
+    if (config.pin) {
+        const { sources } = Config.getPublic();
+        const from = source => source === 'file' ? 'the config file' : 'the environment';
+        authEnabled = true;
+        await AuthService.init(config.pin, config.viewerPin || null);
+        console.log(`🔐 Authentication enabled via ${from(sources.pin)}`);
+        if (config.viewerPin) console.log(`👀 Read-only viewer PIN enabled via ${from(sources.viewerPin)}`);
+        return;
     }
 
     // Skip prompt if not running in an interactive terminal
     if (!process.stdin.isTTY) {
-        console.log('ℹ️ Non-interactive mode - auth disabled (set MOBILE_PIN env to enable)');
+        console.log('ℹ️ Non-interactive mode - auth disabled (set MOBILE_PIN or "pin" in data/config.json to enable)');
         return;
     }
 
@@ -91,10 +132,13 @@ async function promptForAuth() {
     if (enableAuth.toLowerCase() === 'y') {
         const pin = await question('Enter a 4-6 digit PIN: ');
 
-        if (pin.length >= 4 && pin.length <= 6 && /^\d+$/.test(pin)) {
+        if (isValidPin(pin)) {
+            const viewerPin = checkViewerPin(
+                await question('Read-only viewer PIN for teammates (Enter to skip): '), pin);
             authEnabled = true;
-            authPinHash = hashPin(pin);
+            await AuthService.init(pin, viewerPin);
             console.log('✅ Authentication enabled! PIN set successfully.');
+            if (viewerPin) console.log('👀 Viewer PIN set - it can watch but not control the agent.');
         } else {
             console.log('⚠️ Invalid PIN (must be 4-6 digits). Continuing without auth.');
         }
@@ -124,7 +168,7 @@ const storage = multer.diskStorage({
 });
 const upload = multer({
     storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    limits: { fileSize: config.uploadMaxMb * MB },
     fileFilter: (req, file, cb) => {
         const allowed = /jpeg|jpg|png|gif|webp|bmp/;
         const ext = allowed.test(extname(file.originalname).toLowerCase());
@@ -193,8 +237,7 @@ async function startWorkspacePolling() {
     // Initial check
     await poll();
 
-    // Poll every 5 seconds
-    workspacePollingInterval = setInterval(poll, 5000);
+    workspacePollingInterval = setInterval(poll, config.workspacePollMs);
 }
 
 function stopWorkspacePolling() {
@@ -207,12 +250,6 @@ function stopWorkspacePolling() {
 
 // Cross-platform path comparison (case-insensitive on Windows, case-sensitive on Mac/Linux)
 const isWindows = process.platform === 'win32';
-function pathStartsWith(path, prefix) {
-    if (isWindows) {
-        return path.toLowerCase().startsWith(prefix.toLowerCase());
-    }
-    return path.startsWith(prefix);
-}
 function pathEquals(path1, path2) {
     if (isWindows) {
         return path1.toLowerCase() === path2.toLowerCase();
@@ -279,12 +316,25 @@ function loadMessages() {
     try {
         if (existsSync(MESSAGES_FILE)) {
             messages = JSON.parse(readFileSync(MESSAGES_FILE, 'utf-8'));
+            // Mask secrets stored before redaction existed (or new patterns)
+            const redacted = messages.map(redactMessage);
+            if (JSON.stringify(redacted) !== JSON.stringify(messages)) {
+                messages = redacted;
+                saveMessages();
+            }
         }
     } catch (e) {
         messages = [];
     }
 }
 
+// Each stored message keeps its own masks revealable (see redaction.mjs)
+let messageCount = 0;
+
+function redactMessage(msg) {
+    return Redaction.redactValue(msg, { source: `message:${++messageCount}` });
+}
+
 function saveMessages() {
     try {
         if (messages.length > 500) messages = messages.slice(-500);
@@ -308,36 +358,115 @@ function broadcast(event, data) {
     });
 }
 
+// Chat patches only go to clients that asked for the live chat
+function broadcastChat(event, data) {
+    const message = JSON.stringify({ event, data, ts: new Date().toISOString() });
+    clients.forEach(client => {
+        if (client.chatSubscribed && client.readyState === WebSocket.OPEN) {
+            client.send(message);
+        }
+    });
+}
+
 // ============================================================================
 // HTTP Server
 // ============================================================================
 const app = express();
-const httpServer = createServer(app);
-const wss = new WebSocketServer({ server: httpServer });
+const wss = new WebSocketServer({ noServer: true, verifyClient: verifyWebSocketClient });
+
+// The same WebSocket endpoint is served over HTTP and HTTPS, on every
+// bind address
+function attachWebSocket(server) {
+    server.on('upgrade', (req, socket, head) => {
+        if (!isNetworkAllowed(req) || !NetworkPolicy.isOriginAllowed(req.headers.origin)) {
+            console.log(`🚫 Rejected WebSocket from ${req.socket.remoteAddress} (origin ${req.headers.origin || 'none'})`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        // In HTTPS mode tokens must not travel in clear text over the LAN
+        if (HTTPS_ENABLED && !req.socket.encrypted && !isLoopback(req)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+    });
+}
 
-app.use(express.json({ limit: '50mb' }));
-app.use(express.static(join(__dirname, 'public')));
+// Client IP allowlist (allowedIps setting); each refused address is logged once
+const refusedIps = new Set();
+
+function isNetworkAllowed(req) {
+    const ip = req.socket.remoteAddress;
+    if (NetworkPolicy.isIpAllowed(ip)) return true;
+    if (!refusedIps.has(ip) && refusedIps.size < 1000) {
+        refusedIps.add(ip);
+        console.log(`🚫 Refusing connections from ${ip} (not in allowedIps)`);
+    }
+    return false;
+}
 
-// CORS
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (isNetworkAllowed(req)) return next();
+    res.status(403).json({ error: 'Forbidden - this network is not allowed' });
+});
+
+// HTTPS mode: send LAN clients to the secure port. The CA certificate stays
+// on HTTP since a phone has to fetch it before it can trust HTTPS.
+app.use((req, res, next) => {
+    if (!HTTPS_ENABLED || req.secure || isLoopback(req) || req.path === '/ca.crt') {
+        return next();
+    }
+    res.redirect(302, `https://${req.hostname}:${HTTPS_PORT}${req.originalUrl}`);
+});
+
+app.get('/ca.crt', (req, res) => {
+    const ca = TlsService.getCaCertificate();
+    if (!ca) return res.status(404).json({ error: 'HTTPS is not enabled' });
+    res.set('Content-Type', 'application/x-x509-ca-cert');
+    res.set('Content-Disposition', 'attachment; filename="antigravity-mobile-ca.crt"');
+    res.send(Buffer.from(ca));
+});
+
+// CORS: the UI is same-origin; other sites only get in when listed in
+// MOBILE_CORS_ORIGINS, so a page in a browser can't script the API
+app.use((req, res, next) => {
+    const origin = req.headers.origin;
+    if (!NetworkPolicy.isOriginAllowed(origin)) {
+        if (req.path.startsWith('/api') || req.method === 'OPTIONS') {
+            return res.status(403).json({ error: 'Origin not allowed' });
+        }
+        return next();
+    }
+    if (NetworkPolicy.isCrossOriginAllowed(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.header('Vary', 'Origin');
+    }
     if (req.method === 'OPTIONS') return res.sendStatus(204);
     next();
 });
 
+app.use(express.json({ limit: '50mb' }));
+app.use(express.static(join(__dirname, 'public')));
+
 // ============================================================================
 // Auth Endpoints (before auth middleware)
 // ============================================================================
 
-// Check if auth is enabled
+// Check if auth is enabled, and the role of the caller's token if any
 app.get('/api/auth/status', (req, res) => {
-    res.json({ authEnabled });
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const session = token || !authEnabled ? getSession(token, req.ip) : null;
+    res.json({
+        authEnabled,
+        role: session?.role || null,
+        permissions: session ? AuthService.ROLE_PERMISSIONS[session.role] : []
+    });
 });
 
 // Login with PIN
-app.post('/api/auth/login', (req, res) => {
+app.post('/api/auth/login', async (req, res) => {
     if (!authEnabled) {
         return res.json({ success: true, token: 'no-auth-required' });
     }
@@ -347,50 +476,327 @@ app.post('/api/auth/login', (req, res) => {
         return res.status(400).json({ error: 'PIN required' });
     }
 
-    if (hashPin(pin) === authPinHash) {
-        const token = generateSessionToken();
-        validSessions.add(token);
-        console.log('🔓 New session authenticated');
-        res.json({ success: true, token });
+    const params = { method: 'pin', deviceName: req.body.deviceName };
+    const attempt = LoginGuard.begin(req.ip);
+    if (!attempt.allowed) {
+        audit(req, 'login', params, { success: false, error: `Locked out (${attempt.scope})` });
+        res.set('Retry-After', String(attempt.retryAfter));
+        return res.status(429).json({
+            error: `Too many attempts. Try again in ${formatWait(attempt.retryAfter)}.`,
+            retryAfter: attempt.retryAfter
+        });
+    }
+
+    let role = null;
+    try {
+        role = await AuthService.checkPin(String(pin));
+    } finally {
+        reportLockout(LoginGuard.finish(req.ip, !!role));
+    }
+
+    if (role) {
+        const { token, session } = AuthService.createSession({
+            role,
+            label: req.body.deviceName,
+            userAgent: req.headers['user-agent'],
+            ip: req.ip
+        });
+        console.log(`🔓 New ${role} session authenticated: ${session.label}`);
+        AuditLog.record({ action: 'login', session, ip: req.ip, params });
+        res.json({ success: true, token, session });
     } else {
+        console.log(`⚠️ Wrong PIN from ${req.ip}`);
+        audit(req, 'login', params, { success: false, error: 'Invalid PIN' });
         res.status(401).json({ error: 'Invalid PIN' });
     }
 });
 
+// Record a remote control action; req.authSession is the acting device
+// (unset for logins, which have no session yet)
+function audit(req, action, params, result = { success: true }) {
+    AuditLog.record({ action, session: req.authSession, ip: req.ip, params, result });
+    countAction(action, params, result);
+}
+
+// Prompts and approvals are also counted for /metrics
+function countAction(action, params, result) {
+    const label = result?.success === false ? 'failure' : 'success';
+    if (action === 'inject') Metrics.injects.inc({ via: params.via, result: label });
+    if (action === 'approval') Metrics.approvals.inc({ action: params.action, result: label });
+}
+
+// Audit result for a { success, error } style CDP result
+function outcome(result) {
+    return { success: result?.success !== false, error: result?.error };
+}
+
+// Remote input arrives as a stream of small events (every scroll tick, every
+// key), so a run of the same gesture from one device is written as a single
+// entry once the device pauses or switches to another gesture
+const INPUT_RUN_GAP = 2000;
+const inputRuns = new Map(); // session id (or IP) -> run in progress
+
+function auditInput(session, ip, via, event, result) {
+    const key = session?.id || ip;
+    const type = event?.type || 'unknown';
+    let run = inputRuns.get(key);
+    if (run && (run.params.type !== type || run.params.via !== via)) {
+        flushInput(key);
+        run = null;
+    }
+    if (!run) {
+        run = { session, ip, params: { type, via, count: 0 }, failures: 0, error: null, timer: null };
+        inputRuns.set(key, run);
+    }
+
+    run.params.count++;
+    // Which keys were pressed, but only how much text was typed
+    if (type === 'key') run.params.keys = [...(run.params.keys || []), ...(event.keys || [event.key])].slice(-20);
+    if (type === 'text') run.params.chars = (run.params.chars || 0) + String(event.text || '').length;
+    if (!result.success) {
+        run.failures++;
+        run.error = result.error;
+    }
+
+    clearTimeout(run.timer);
+    run.timer = setTimeout(() => flushInput(key), INPUT_RUN_GAP);
+}
+
+function flushInput(key) {
+    const run = inputRuns.get(key);
+    if (!run) return;
+    inputRuns.delete(key);
+    clearTimeout(run.timer);
+    const result = run.failures
+        ? { success: false, error: `${run.failures} of ${run.params.count} failed: ${run.error}` }
+        : { success: true };
+    AuditLog.record({ action: 'remote_input', session: run.session, ip: run.ip, params: run.params, result });
+}
+
+function reportLockout(lockout) {
+    if (!lockout) return;
+    const who = lockout.scope === 'global' ? `all clients (last attempt from ${lockout.ip})` : lockout.ip;
+    console.log(`🚨 Login locked for ${who} until ${new Date(lockout.until).toLocaleTimeString()} after repeated wrong PINs`);
+    broadcast('auth_lockout', lockout);
+}
+
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.ceil(seconds / 60)} min`;
+}
+
 // Logout
 app.post('/api/auth/logout', (req, res) => {
     const token = req.headers.authorization?.replace('Bearer ', '');
-    if (token) {
-        validSessions.delete(token);
+    if (token && authEnabled) {
+        const sessionId = AuthService.revokeToken(token);
+        if (sessionId) closeWebSocketsForSession(sessionId, 'Logged out');
     }
     res.json({ success: true });
 });
 
+// Pairing - QR codes that log a device in without typing the PIN
+// Minted by an operator device or by the launcher on this machine
+function isLoopback(req) {
+    const ip = req.socket.remoteAddress || '';
+    return ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1';
+}
+
+app.post('/api/auth/pair', async (req, res) => {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const session = token ? getSession(token, req.ip) : null;
+    if (!isLoopback(req) && !AuthService.can(session?.role, 'control')) {
+        return res.status(403).json({ error: 'Pairing codes can only be created by an operator or on this computer' });
+    }
+
+    // Where the phone should open - the launcher passes the LAN address
+    let baseUrl = `${req.protocol}://${req.get('host')}`;
+    if (req.body.baseUrl) {
+        try {
+            const url = new URL(req.body.baseUrl);
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+            baseUrl = url.origin;
+        } catch (e) {
+            return res.status(400).json({ error: 'Invalid baseUrl' });
+        }
+    }
+
+    try {
+        if (!authEnabled) {
+            // Nothing to log in to - the code just opens the dashboard
+            return res.json({ authEnabled, url: baseUrl, qrSvg: await QRCode.toString(baseUrl, { type: 'svg', margin: 1 }) });
+        }
+
+        const pairing = AuthService.createPairing({ label: req.body.name, role: req.body.role });
+        const url = `${baseUrl}/?pair=${pairing.token}`;
+        console.log(`📲 Pairing code created${req.body.name ? ` for ${req.body.name}` : ''} (expires ${new Date(pairing.expiresAt).toLocaleTimeString()})`);
+        res.json({
+            authEnabled,
+            url,
+            expiresAt: pairing.expiresAt,
+            qrSvg: await QRCode.toString(url, { type: 'svg', margin: 1 })
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Exchange a scanned pairing code for a session
+app.post('/api/auth/pair/redeem', (req, res) => {
+    if (!authEnabled) {
+        return res.json({ success: true, token: 'no-auth-required' });
+    }
+
+    const { token, deviceName } = req.body;
+    if (!token) {
+        return res.status(400).json({ error: 'Pairing token required' });
+    }
+
+    const result = AuthService.redeemPairing(String(token), {
+        label: deviceName,
+        userAgent: req.headers['user-agent'],
+        ip: req.ip
+    });
+    const params = { method: 'pairing', deviceName };
+    if (!result) {
+        console.log(`⚠️ Invalid or expired pairing code from ${req.ip}`);
+        audit(req, 'login', params, { success: false, error: 'Invalid or expired pairing code' });
+        return res.status(401).json({ error: 'Pairing code is invalid or expired' });
+    }
+
+    console.log(`📲 Device paired: ${result.session.label} (${result.session.role})`);
+    AuditLog.record({ action: 'login', session: result.session, ip: req.ip, params });
+    res.json({ success: true, token: result.token, session: result.session });
+});
+
 // Health check endpoint (before auth middleware - allows launcher to verify server is running)
 app.get('/api/status', (req, res) => {
     res.json({
         status: 'ok',
         authEnabled,
+        https: HTTPS_ENABLED ? { port: HTTPS_PORT, caFingerprint: TlsService.getCaFingerprint() } : null,
         uptime: process.uptime()
     });
 });
 
+// Prometheus metrics (outside /api: scrapers use METRICS_TOKEN, not a PIN)
+Metrics.onCollect(() => {
+    Metrics.websocketClients.set({}, clients.size);
+    Metrics.workspacePollFailures.set({}, consecutiveFailures);
+    Metrics.chatStreamActive.reset();
+    Metrics.chatStreamActive.set({ mode: ChatStream.getStreamMode() || 'none' }, ChatStream.isStreaming() ? 1 : 0);
+});
+
+function hasMetricsToken(req) {
+    if (!config.metricsToken) return true;
+    const token = req.headers.authorization?.replace('Bearer ', '') || '';
+    // Compare digests so the lengths always match
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(token), digest(config.metricsToken));
+}
+
+app.get('/metrics', async (req, res) => {
+    if (!hasMetricsToken(req)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+    try {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(await Metrics.render());
+    } catch (e) {
+        res.status(500).type('text/plain').send(`${e.message}\n`);
+    }
+});
+
+// Auth endpoints that work without a session
+const PUBLIC_AUTH_PATHS = ['/auth/status', '/auth/login', '/auth/logout', '/auth/pair', '/auth/pair/redeem'];
+
+// Writes a viewer may make; every other non-GET request needs 'control'
+const VIEW_WRITES = ['/chat/start', '/files/unwatch'];
+// GETs with side effects, or operator-only data
+const CONTROL_READS = ['/inbox/read', '/audit', '/config'];
+
+function requiredPermission(req) {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        return CONTROL_READS.includes(req.path) ? 'control' : 'view';
+    }
+    // Viewers may log out their own device (checked in the route)
+    if (req.method === 'DELETE' && req.path.startsWith('/auth/sessions/')) return 'view';
+    return VIEW_WRITES.includes(req.path) ? 'view' : 'control';
+}
+
 // Auth middleware - protect all other API routes
 app.use('/api', (req, res, next) => {
-    // Skip auth check for auth endpoints
-    if (req.path.startsWith('/auth/')) {
+    // Skip auth check for login/status
+    if (PUBLIC_AUTH_PATHS.includes(req.path)) {
         return next();
     }
 
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const session = getSession(token, req.ip);
+    if (!session) {
+        return res.status(401).json({ error: 'Unauthorized', needsAuth: true });
+    }
+
+    if (!AuthService.can(session.role, requiredPermission(req))) {
+        return res.status(403).json({ error: `Not allowed with ${session.role} access`, role: session.role });
+    }
+
+    req.authSession = session;
+    next();
+});
+
+// ============================================================================
+// Session Management (logged-in devices)
+// ============================================================================
+
+// List devices with an active session
+app.get('/api/auth/sessions', (req, res) => {
     if (!authEnabled) {
-        return next();
+        return res.json({ authEnabled, sessions: [] });
     }
 
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (validateSession(token)) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized', needsAuth: true });
+    // Viewers only see their own device
+    const sessions = AuthService.listSessions()
+        .filter(s => AuthService.can(req.authSession.role, 'control') || s.id === req.authSession.id)
+        .map(s => ({ ...s, current: s.id === req.authSession.id }));
+    res.json({ authEnabled, sessions, ttl: AuthService.getTtl() });
+});
+
+// Revoke a device's session
+app.delete('/api/auth/sessions/:id', (req, res) => {
+    if (!AuthService.can(req.authSession.role, 'control') && req.params.id !== req.authSession.id) {
+        return res.status(403).json({ error: `Not allowed with ${req.authSession.role} access` });
+    }
+    if (!AuthService.revokeSession(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    closeWebSocketsForSession(req.params.id, 'Session revoked');
+    console.log(`🔒 Session revoked: ${req.params.id}`);
+    res.json({ success: true });
+});
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+// Effective settings (PINs hidden) and where each came from (operators only)
+app.get('/api/config', (req, res) => {
+    res.json(Config.getPublic());
+});
+
+// ============================================================================
+// Audit Log
+// ============================================================================
+
+// Remote control actions, newest first (operators only)
+// Query: ?action=inject,file_save&session=<id>&ip=&result=success|failure
+//        &since=<ISO>&until=<ISO>&limit=100&before=<entry id>
+app.get('/api/audit', (req, res) => {
+    try {
+        const result = AuditLog.query(req.query);
+        res.json({ ...result, facets: AuditLog.getFacets() });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
     }
 });
 
@@ -458,6 +864,11 @@ app.get('/api/cdp/screen.png', async (req, res) => {
     }
 });
 
+// Live screencast status (frames themselves go over the WebSocket)
+app.get('/api/cdp/screencast', (req, res) => {
+    res.json(Screencast.getStatus());
+});
+
 // Inject command (type text)
 app.post('/api/cdp/inject', async (req, res) => {
     try {
@@ -470,18 +881,22 @@ app.post('/api/cdp/inject', async (req, res) => {
         } else {
             result = await CDP.injectCommand(text);
         }
+        audit(req, 'inject', { text, submit: !!submit, via: 'http' }, outcome(result));
 
-        // Log to messages
-        messages.push({
+        // Log to messages (the IDE gets the text as typed, storage doesn't)
+        const logged = redactMessage({
             type: 'mobile_command',
             content: text,
             timestamp: new Date().toISOString()
         });
+        const loggedText = logged.content;
+        messages.push(logged);
         saveMessages();
-        broadcast('mobile_command', { text, submitted: !!submit });
+        broadcast('mobile_command', { text: loggedText, submitted: !!submit });
 
         res.json(result);
     } catch (e) {
+        audit(req, 'inject', { text: req.body.text, submit: !!req.body.submit, via: 'http' }, { success: false, error: e.message });
         res.status(500).json({ error: e.message });
     }
 });
@@ -496,11 +911,25 @@ app.post('/api/cdp/focus', async (req, res) => {
     }
 });
 
+// Remote input on the mirrored screen: tap, doubleTap, longPress, drag, scroll, key, text
+// Coordinates are fractions of the screenshot, or image pixels with width/height
+app.post('/api/cdp/input', async (req, res) => {
+    if (!req.body?.type) return res.status(400).json({ error: 'Input type required' });
+    try {
+        const result = await RemoteInput.dispatch(req.body);
+        auditInput(req.authSession, req.ip, 'http', req.body, outcome(result));
+        res.json(result);
+    } catch (e) {
+        auditInput(req.authSession, req.ip, 'http', req.body, { success: false, error: e.message });
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
 // Get live chat messages from IDE
 app.get('/api/cdp/chat', async (req, res) => {
     try {
         const result = await CDP.getChatMessages();
-        res.json(result);
+        res.json(Redaction.redactValue(result, { source: 'cdp-chat' }));
     } catch (e) {
         res.status(500).json({ error: e.message, messages: [] });
     }
@@ -510,7 +939,7 @@ app.get('/api/cdp/chat', async (req, res) => {
 app.get('/api/cdp/panel', async (req, res) => {
     try {
         const result = await CDP.getAgentPanelContent();
-        res.json(result);
+        res.json(Redaction.redactValue(result, { html: true, source: 'panel' }));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
@@ -520,7 +949,7 @@ app.get('/api/cdp/panel', async (req, res) => {
 app.get('/api/cdp/conversation', async (req, res) => {
     try {
         const result = await CDP.getConversationText();
-        res.json(result);
+        res.json(Redaction.redactValue(result, { source: 'conversation' }));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
@@ -535,7 +964,7 @@ app.get('/api/chat/snapshot', async (req, res) => {
     try {
         const snapshot = await ChatStream.getChatSnapshot();
         if (snapshot) {
-            res.json(snapshot);
+            res.json(Redaction.redactChat(snapshot));
         } else {
             res.status(503).json({ error: 'No chat found', messages: [] });
         }
@@ -544,48 +973,194 @@ app.get('/api/chat/snapshot', async (req, res) => {
     }
 });
 
+// Get the conversation as typed entries (user, agent, code, terminal, tool, file_edit, approval)
+// Query: ?since=<id> for entries after that one, ?type=code,terminal to filter
+app.get('/api/chat/messages', async (req, res) => {
+    try {
+        const result = await ChatParser.getMessages();
+        if (!result) {
+            return res.status(503).json({ error: 'No chat found', messages: [] });
+        }
+
+        let messages = Redaction.redactValue(result.messages, { source: 'chat-messages' });
+        if (req.query.since) {
+            const index = messages.findIndex(m => m.id === req.query.since);
+            if (index !== -1) messages = messages.slice(index + 1);
+        }
+        if (req.query.type) {
+            const types = String(req.query.type).split(',');
+            messages = messages.filter(m => types.includes(m.type));
+        }
+
+        res.json({ messages, count: messages.length, capturedAt: result.capturedAt });
+    } catch (e) {
+        res.status(500).json({ error: e.message, messages: [] });
+    }
+});
+
+// Start the stream once, feeding every capture through redaction and the
+// patch builder
+let chatStreamStarting = null;
+let chatStreamStopped = false; // stopped through the API - don't restart in the background
+
+async function ensureChatStream() {
+    chatStreamStopped = false;
+    if (ChatStream.isStreaming()) return { success: true, mode: ChatStream.getStreamMode() };
+
+    if (!chatStreamStarting) {
+        chatStreamStarting = ChatStream.startChatStream((chat) => {
+            const update = ChatDiff.update(Redaction.redactChat(chat));
+            if (update) {
+                Metrics.chatUpdates.inc();
+                broadcastChat(update.event, update.data);
+            }
+        }, config.chatPollMs).finally(() => {
+            chatStreamStarting = null;
+        });
+    }
+    return chatStreamStarting;
+}
+
+// Agent state and approvals come from chat captures, so the stream runs
+// from startup, not just while a client has the chat open. Retried until
+// the editor is reachable, and again whenever the connection drops.
+const CHAT_STREAM_RETRY_MS = 15000;
+
+function keepChatStreamRunning() {
+    let failing = false;
+    const tryStart = async () => {
+        if (chatStreamStopped || ChatStream.isStreaming()) return;
+        try {
+            const result = await ensureChatStream();
+            if (!result.success && !failing) console.log(`⚠️ Chat stream not started: ${result.error} - retrying in the background`);
+            failing = !result.success;
+        } catch (e) {
+            if (!failing) console.log(`⚠️ Chat stream not started: ${e.message} - retrying in the background`);
+            failing = true;
+        }
+    };
+    tryStart();
+    setInterval(tryStart, CHAT_STREAM_RETRY_MS);
+}
+
+// Bring a WebSocket client up to date: missed patches if we still have
+// them, otherwise a full snapshot
+async function syncChatClient(ws, since, epoch) {
+    const result = await ensureChatStream();
+    if (!result.success) {
+        ws.send(JSON.stringify({ event: 'chat_unavailable', data: { error: result.error } }));
+        return;
+    }
+
+    // Subscribe only now: anything broadcast while the stream was starting
+    // is already part of what we send below
+    ws.chatSubscribed = true;
+
+    const patches = ChatDiff.getPatchesSince(since, epoch);
+    if (patches) {
+        patches.forEach(patch => ws.send(JSON.stringify({ event: 'chat_patch', data: patch })));
+        return;
+    }
+
+    const snapshot = ChatDiff.getSnapshot();
+    if (snapshot) {
+        ws.send(JSON.stringify({ event: 'chat_snapshot', data: snapshot }));
+    } else {
+        ws.send(JSON.stringify({ event: 'chat_unavailable', data: { error: 'No chat captured yet' } }));
+    }
+}
+
 // Start chat stream
 app.post('/api/chat/start', async (req, res) => {
     try {
-        const result = await ChatStream.startChatStream((chat) => {
-            // Broadcast chat updates to WebSocket clients
-            broadcast('chat_update', {
-                messageCount: chat.messageCount,
-                messages: chat.messages,
-                timestamp: new Date().toISOString()
-            });
-        }, 2000);
+        const result = await ensureChatStream();
         res.json(result);
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-// Stop chat stream
+// Stop chat stream - for every client, and it stays off until started again,
+// so operators only
 app.post('/api/chat/stop', (req, res) => {
+    chatStreamStopped = true;
     ChatStream.stopChatStream();
     res.json({ success: true });
 });
 
 // Check stream status
 app.get('/api/chat/status', (req, res) => {
-    res.json({ streaming: ChatStream.isStreaming() });
+    res.json({ streaming: ChatStream.isStreaming(), mode: ChatStream.getStreamMode() });
 });
 
 // ============================================================================
 // Quota Endpoints - Model quota data from Antigravity
 // ============================================================================
 
+// Tell every client when a model's quota crosses a threshold
+function announceQuotaAlerts(quota) {
+    if (!quota?.available) return;
+    for (const alert of QuotaAlerts.check(quota.models)) {
+        const level = alert.status === 'exhausted' ? 'exhausted' : `below ${alert.threshold}%`;
+        console.log(`🪫 ${alert.name} quota ${level} (${alert.remainingPercent}% left${alert.resetIn ? `, resets in ${alert.resetIn}` : ''})`);
+        broadcast('quota_alert', alert);
+    }
+}
+
+// Move off an exhausted model (and back after the reset) per modelFallbacks
+async function applyModelFallback(quota) {
+    const change = await ModelFallback.check(quota);
+    if (!change) return;
+    const why = change.reason === 'quota_reset' ? 'quota reset' : 'out of quota';
+    console.log(`🔀 Switched model ${change.from} → ${change.to} (${why})`);
+    AuditLog.record({
+        action: 'model_set',
+        session: null,
+        ip: null,
+        params: { model: change.to, from: change.from, reason: change.reason }
+    });
+    broadcast('model_changed', { model: change.to, previous: change.from, reason: change.reason });
+}
+
+// Latest reading per model for /metrics
+function recordQuotaMetrics(quota) {
+    if (!quota?.available) return;
+    Metrics.quotaRemaining.reset();
+    Metrics.quotaResetTime.reset();
+    for (const model of quota.models) {
+        const labels = { model: model.id, name: model.name };
+        Metrics.quotaRemaining.set(labels, model.remainingPercent);
+        if (model.resetAt) Metrics.quotaResetTime.set(labels, Math.floor(model.resetAt / 1000));
+    }
+}
+
+function handleQuotaReading(quota) {
+    recordQuotaMetrics(quota);
+    announceQuotaAlerts(quota);
+    applyModelFallback(quota).catch(e => console.log(`⚠️ Model fallback failed: ${e.message}`));
+}
+
 // Get model quota data
 app.get('/api/quota', async (req, res) => {
     try {
         const quota = await QuotaService.getQuota();
-        res.json(quota);
+        handleQuotaReading(quota);
+        res.json({ ...quota, models: ModelCatalog.joinQuota(quota.models) });
     } catch (e) {
         res.status(500).json({ available: false, error: e.message, models: [] });
     }
 });
 
+// Quota over time with burn rate and exhaustion forecast per model
+app.get('/api/quota/history', async (req, res) => {
+    try {
+        const history = await QuotaHistory.getHistory({ hours: req.query.hours, model: req.query.model || null });
+        res.json(history);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // Check quota service availability
 app.get('/api/quota/status', async (req, res) => {
     try {
@@ -596,32 +1171,65 @@ app.get('/api/quota/status', async (req, res) => {
     }
 });
 
+// ============================================================================
+// Language Server Gateway - allowlisted LanguageServerService calls
+// ============================================================================
+
+// Methods that can be called
+app.get('/api/ls', (req, res) => {
+    res.json({ methods: LsGateway.getMethods() });
+});
+
+// Call a method with its default request (?pick=a.b,c&fresh=1)
+app.get('/api/ls/:method', async (req, res) => {
+    const result = await LsGateway.call(req.params.method, { pick: req.query.pick, fresh: req.query.fresh === '1' });
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+});
+
+// Call a method with a request body
+app.post('/api/ls/:method', async (req, res) => {
+    const method = req.params.method;
+    const result = await LsGateway.call(method, { body: req.body, pick: req.query.pick, fresh: req.query.fresh === '1' });
+    audit(req, 'ls_call', { method }, { success: !result.error, error: result.error });
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+});
+
 // ============================================================================
 // Model & Mode Control Endpoints
 // ============================================================================
 
 // Get current model and mode
 app.get('/api/models', async (req, res) => {
+    let catalog;
+    try {
+        catalog = await ModelCatalog.getModels();
+    } catch (e) {
+        // Fall back to the last catalog we saw
+        catalog = ModelCatalog.getCached();
+    }
+    const models = {
+        models: catalog.models.map(m => m.name),
+        catalog: catalog.models,
+        source: catalog.source,
+        fallback: ModelFallback.getState()
+    };
+
     try {
-        const result = await CDP.getAvailableModels();
         const modeResult = await CDP.getModelAndMode();
         res.json({
-            models: result.models || [],
-            currentModel: modeResult.model || result.current || 'Unknown',
+            ...models,
+            currentModel: modeResult.model || 'Unknown',
             currentMode: modeResult.mode || 'Unknown'
         });
     } catch (e) {
-        // Return known defaults on error
         res.json({
-            models: [
-                'Gemini 3 Pro (High)',
-                'Gemini 3 Pro (Low)',
-                'Gemini 3 Flash',
-                'Claude Sonnet 4.5',
-                'Claude Sonnet 4.5 (Thinking)',
-                'Claude Opus 4.5 (Thinking)',
-                'GPT-OSS 120B (Medium)'
-            ],
+            ...models,
             currentModel: 'Unknown',
             currentMode: 'Unknown',
             error: e.message
@@ -637,14 +1245,21 @@ app.post('/api/models/set', async (req, res) => {
         if (!model) {
             return res.status(400).json({ error: 'Model name required' });
         }
-        const result = await CDP.setModel(model);
+        const entry = await ModelCatalog.resolve(model);
+        if (!entry) {
+            audit(req, 'model_set', { model }, { success: false, error: 'Unknown model' });
+            return res.status(400).json({ success: false, error: `Unknown model "${model}"` });
+        }
+        const result = await CDP.setModel(entry.name);
         console.log('[SetModel] CDP result:', JSON.stringify(result));
+        audit(req, 'model_set', { model }, outcome(result));
         if (result.success) {
             broadcast('model_changed', { model: result.selected });
         }
         res.json(result);
     } catch (e) {
         console.log('[SetModel] Error:', e.message);
+        audit(req, 'model_set', { model: req.body.model }, { success: false, error: e.message });
         res.status(500).json({ success: false, error: e.message });
     }
 });
@@ -674,23 +1289,54 @@ app.post('/api/modes/set', async (req, res) => {
             return res.status(400).json({ error: 'Mode name required' });
         }
         const result = await CDP.setMode(mode);
+        audit(req, 'mode_set', { mode }, outcome(result));
         if (result.success) {
             broadcast('mode_changed', { mode: result.selected });
         }
         res.json(result);
     } catch (e) {
+        audit(req, 'mode_set', { mode: req.body.mode }, { success: false, error: e.message });
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
+// ============================================================================
+// Agent State - thinking, awaiting approval, errored, done, idle
+// ============================================================================
+
+function announceAgentState(transition) {
+    const detail = transition.error ? ` (${transition.error})` : '';
+    console.log(`🤖 Agent ${transition.previous || 'unknown'} → ${transition.state}${detail}`);
+    broadcast('agent_state', transition);
+}
+
+AgentState.onTransition(announceAgentState);
+
+// Current state, since when, and recent transitions
+// The state comes from chat captures, so make sure the chat stream is running
+// (it normally is from startup, unless it was stopped through the API)
+app.get('/api/agent/state', async (req, res) => {
+    let stream;
+    try {
+        stream = await ensureChatStream();
+    } catch (e) {
+        stream = { success: false, error: e.message };
+    }
+    res.json({
+        ...AgentState.getState(),
+        states: AgentState.STATES,
+        streamError: stream.success ? null : stream.error
+    });
+});
+
 // ============================================================================
 // Command Approval Endpoints
 // ============================================================================
 
-// Get pending approvals
+// Get pending approvals (from the agent state while it's current)
 app.get('/api/approvals', async (req, res) => {
     try {
-        const result = await CDP.getPendingApprovals();
+        const result = AgentState.getPendingApprovals() || await CDP.getPendingApprovals();
         res.json(result);
     } catch (e) {
         res.json({ pending: false, count: 0, error: e.message });
@@ -707,12 +1353,14 @@ app.post('/api/approvals/respond', async (req, res) => {
         console.log('[Approvals] Responding with:', action);
         const result = await CDP.respondToApproval(action);
         console.log('[Approvals] Result:', JSON.stringify(result));
+        audit(req, 'approval', { action }, outcome(result));
         if (result.success) {
             broadcast('approval_responded', { action: result.action });
         }
         res.json(result);
     } catch (e) {
         console.log('[Approvals] Error:', e.message);
+        audit(req, 'approval', { action: req.body.action }, { success: false, error: e.message });
         res.status(500).json({ success: false, error: e.message });
     }
 });
@@ -763,23 +1411,21 @@ app.get('/api/workspace', (req, res) => {
     res.json({ workspace: workspacePath });
 });
 
+// Files the editor can show and save as text
+const TEXT_EXTENSIONS = config.textExtensions;
+
 // List files in directory
 app.get('/api/files', (req, res) => {
     try {
         const requestedPath = req.query.path || workspacePath;
 
-        // Resolve to absolute path
-        const fullPath = resolve(requestedPath);
-
-        if (!existsSync(fullPath)) {
-            return res.status(404).json({ error: 'Path not found' });
-        }
-
-        // Security: Prevent listing directories outside workspace
-        const workspaceRoot = resolve(workspacePath);
-        if (!pathStartsWith(fullPath, workspaceRoot)) {
-            return res.status(403).json({ error: 'Access denied - outside workspace' });
+        // Security: Only real paths inside the workspace, no protected files
+        const access = Sandbox.check(workspacePath, requestedPath);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
+        const fullPath = access.path;
+        const workspaceRoot = Sandbox.check(workspacePath, workspacePath).path;
 
         const stats = statSync(fullPath);
         if (!stats.isDirectory()) {
@@ -788,6 +1434,9 @@ app.get('/api/files', (req, res) => {
 
         const items = readdirSync(fullPath).map(name => {
             const itemPath = join(fullPath, name);
+            // Hide protected files and symlinks that lead outside the workspace
+            const itemAccess = Sandbox.check(workspacePath, itemPath);
+            if (itemAccess.error) return null;
             try {
                 const itemStats = statSync(itemPath);
                 return {
@@ -796,12 +1445,13 @@ app.get('/api/files', (req, res) => {
                     isDirectory: itemStats.isDirectory(),
                     size: itemStats.size,
                     modified: itemStats.mtime,
-                    extension: itemStats.isDirectory() ? null : extname(name).toLowerCase()
+                    extension: itemStats.isDirectory() ? null : extname(name).toLowerCase(),
+                    readOnly: itemAccess.readOnly
                 };
             } catch (e) {
                 return { name, error: 'Access denied' };
             }
-        }).filter(item => !item.name.startsWith('.') && item.name !== 'node_modules');
+        }).filter(item => item && !item.name.startsWith('.') && item.name !== 'node_modules');
 
         // Sort: directories first, then files alphabetically
         items.sort((a, b) => {
@@ -850,41 +1500,37 @@ app.get('/api/files/content', (req, res) => {
             return res.status(400).json({ error: 'Path required' });
         }
 
-        if (!existsSync(filePath)) {
-            return res.status(404).json({ error: 'File not found' });
-        }
-
-        // Security: Prevent reading files outside workspace
-        const resolvedPath = resolve(filePath);
-        const workspaceRoot = resolve(workspacePath);
-        if (!pathStartsWith(resolvedPath, workspaceRoot)) {
-            return res.status(403).json({ error: 'Access denied - outside workspace' });
+        // Security: Only real paths inside the workspace, no protected files
+        const access = Sandbox.check(workspacePath, filePath);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
 
-        const stats = statSync(filePath);
+        const stats = statSync(access.path);
         if (stats.isDirectory()) {
             return res.status(400).json({ error: 'Cannot read directory' });
         }
 
-        // Limit file size to 1MB for safety
-        if (stats.size > 1024 * 1024) {
-            return res.status(400).json({ error: 'File too large (max 1MB)' });
+        // Limit file size for safety
+        if (stats.size > config.fileViewMaxMb * MB) {
+            return res.status(400).json({ error: `File too large (max ${config.fileViewMaxMb}MB)` });
         }
 
         const ext = extname(filePath).toLowerCase();
-        const textExtensions = ['.txt', '.md', '.js', '.mjs', '.ts', '.json', '.html', '.css', '.py', '.sh', '.bat', '.yml', '.yaml', '.xml', '.csv', '.log', '.env', '.gitignore'];
-
-        if (!textExtensions.includes(ext)) {
+        if (!TEXT_EXTENSIONS.includes(ext)) {
             return res.status(400).json({ error: 'Binary file - cannot display', extension: ext });
         }
 
-        const content = readFileSync(filePath, 'utf-8');
+        const content = readFileSync(access.path, 'utf-8');
+        const redacted = Redaction.redactText(content, { source: `file:${access.relative}` });
         res.json({
             path: filePath,
             name: basename(filePath),
             extension: ext,
             size: stats.size,
-            content
+            readOnly: access.readOnly,
+            redacted: redacted !== content,
+            content: redacted
         });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -902,27 +1548,35 @@ app.post('/api/files/save', (req, res) => {
             return res.status(400).json({ error: 'Content required' });
         }
 
-        // Security: Prevent editing files outside workspace
-        const resolvedPath = resolve(filePath);
-        const workspaceRoot = resolve(workspacePath);
-        if (!pathStartsWith(resolvedPath, workspaceRoot)) {
-            return res.status(403).json({ error: 'Access denied - outside workspace' });
-        }
-
-        if (!existsSync(filePath)) {
-            return res.status(404).json({ error: 'File not found' });
+        // Security: Only real paths inside the workspace, no protected or read-only files
+        const access = Sandbox.check(workspacePath, filePath, 'write');
+        if (access.error) {
+            audit(req, 'file_save', { path: filePath }, { success: false, error: access.error });
+            return res.status(access.status).json({ error: access.error });
         }
 
         const ext = extname(filePath).toLowerCase();
-        const textExtensions = ['.txt', '.md', '.js', '.mjs', '.ts', '.json', '.html', '.css', '.py', '.sh', '.bat', '.yml', '.yaml', '.xml', '.csv', '.log', '.env', '.gitignore'];
-
-        if (!textExtensions.includes(ext)) {
+        if (!TEXT_EXTENSIONS.includes(ext)) {
             return res.status(400).json({ error: 'Cannot edit binary files' });
         }
 
-        writeFileSync(filePath, content, 'utf-8');
+        // Masked secrets go back to their real values - the file's own are
+        // read from it again; refuse if any aren't this file's (pasted from
+        // elsewhere, removed from the file, server restarted) rather than
+        // write the mask
+        const restored = Redaction.restore(content, {
+            source: `file:${access.relative}`,
+            original: existsSync(access.path) ? readFileSync(access.path, 'utf-8') : undefined
+        });
+        if (restored.missing) {
+            return res.status(409).json({ error: 'File contains hidden secrets that are not from this file or have expired - reopen it before saving' });
+        }
+
+        writeFileSync(access.path, restored.text, 'utf-8');
+        audit(req, 'file_save', { path: access.relative, bytes: Buffer.byteLength(restored.text) });
         res.json({ success: true, path: filePath });
     } catch (e) {
+        audit(req, 'file_save', { path: req.body.path }, { success: false, error: e.message });
         res.status(500).json({ error: e.message });
     }
 });
@@ -935,15 +1589,10 @@ app.get('/api/files/raw', (req, res) => {
             return res.status(400).json({ error: 'Path required' });
         }
 
-        // Security: Prevent accessing files outside workspace
-        const resolvedPath = resolve(filePath);
-        const workspaceRoot = resolve(workspacePath);
-        if (!pathStartsWith(resolvedPath, workspaceRoot)) {
-            return res.status(403).json({ error: 'Access denied - outside workspace' });
-        }
-
-        if (!existsSync(filePath)) {
-            return res.status(404).json({ error: 'File not found' });
+        // Security: Only real paths inside the workspace, no protected files
+        const access = Sandbox.check(workspacePath, filePath);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
 
         const ext = extname(filePath).toLowerCase();
@@ -953,10 +1602,9 @@ app.get('/api/files/raw', (req, res) => {
             return res.status(400).json({ error: 'Only image files supported' });
         }
 
-        // Limit file size to 10MB
-        const stats = statSync(filePath);
-        if (stats.size > 10 * 1024 * 1024) {
-            return res.status(400).json({ error: 'Image too large (max 10MB)' });
+        const stats = statSync(access.path);
+        if (stats.size > config.imageMaxMb * MB) {
+            return res.status(400).json({ error: `Image too large (max ${config.imageMaxMb}MB)` });
         }
 
         // Set content type based on extension
@@ -972,12 +1620,55 @@ app.get('/api/files/raw', (req, res) => {
         };
 
         res.set('Content-Type', mimeTypes[ext] || 'application/octet-stream');
-        res.sendFile(resolvedPath);
+        res.sendFile(access.path, { dotfiles: 'allow' });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// ============================================================================
+// Redaction - reveal a masked secret after re-entering the operator PIN
+// ============================================================================
+
+app.post('/api/redaction/reveal', async (req, res) => {
+    const { id, pin } = req.body;
+    if (!id) return res.status(400).json({ error: 'Redaction id required' });
+
+    if (authEnabled) {
+        if (!pin) return res.status(400).json({ error: 'PIN required' });
+
+        // Same brute-force limits as the login
+        const attempt = LoginGuard.begin(req.ip);
+        if (!attempt.allowed) {
+            res.set('Retry-After', String(attempt.retryAfter));
+            return res.status(429).json({
+                error: `Too many attempts. Try again in ${formatWait(attempt.retryAfter)}.`,
+                retryAfter: attempt.retryAfter
+            });
+        }
+
+        let role = null;
+        try {
+            role = await AuthService.checkPin(String(pin));
+        } finally {
+            reportLockout(LoginGuard.finish(req.ip, role === 'operator'));
+        }
+        if (role !== 'operator') {
+            console.log(`⚠️ Wrong PIN for reveal from ${req.ip}`);
+            audit(req, 'secret_reveal', { id }, { success: false, error: 'Invalid PIN' });
+            return res.status(401).json({ error: 'Invalid PIN' });
+        }
+    }
+
+    const secret = Redaction.reveal(String(id));
+    if (!secret) {
+        return res.status(404).json({ error: 'Secret expired - refresh and try again' });
+    }
+    console.log(`👁️ Revealed ${secret.kind} ${id} to ${req.ip}`);
+    audit(req, 'secret_reveal', { id, kind: secret.kind });
+    res.json({ id, kind: secret.kind, value: secret.value });
+});
+
 // ============================================================================
 // Message Endpoints
 // ============================================================================
@@ -986,18 +1677,18 @@ app.get('/api/files/raw', (req, res) => {
 app.post('/api/broadcast', (req, res) => {
     const { type, content, context_summary, timestamp } = req.body;
 
-    const msg = {
+    const msg = redactMessage({
         type: type || 'agent',
         content: content || '',
         context_summary,
         timestamp: timestamp || new Date().toISOString()
-    };
+    });
 
     messages.push(msg);
     saveMessages();
     broadcast('message', msg);
 
-    console.log(`📡 [${type}] ${content.substring(0, 60)}...`);
+    console.log(`📡 [${type}] ${msg.content.substring(0, 60)}...`);
 
     res.json({ success: true, clients: clients.size });
 });
@@ -1020,7 +1711,7 @@ app.post('/api/inbox', (req, res) => {
     });
 
     broadcast('inbox_updated', { count: inbox.length });
-    console.log(`📥 [INBOX] ${message.substring(0, 50)}...`);
+    console.log(`📥 [INBOX] ${Redaction.redactText(message).substring(0, 50)}...`);
 
     res.json({ success: true, inbox_count: inbox.length });
 });
@@ -1059,7 +1750,62 @@ app.get('/api/status', async (req, res) => {
 // ============================================================================
 // WebSocket
 // ============================================================================
-wss.on('connection', (ws) => {
+
+// Close code sent when a socket's session is no longer valid
+const WS_UNAUTHORIZED = 4001;
+
+// What each inbound action needs; anything not listed is refused
+const WS_ACTIONS = {
+    inject: 'control',
+    input: 'control',
+    screenshot: 'view',
+    chat_sync: 'view',
+    chat_unsubscribe: 'view',
+    screencast_start: 'view',
+    screencast_ack: 'view',
+    screencast_stop: 'view'
+};
+
+// Browsers can't set headers on a WebSocket, so the token comes as ?token=
+function getWebSocketToken(req) {
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token') || req.headers.authorization?.replace('Bearer ', '') || null;
+}
+
+// Reject the upgrade unless it carries a valid session token
+function verifyWebSocketClient(info, done) {
+    if (getSession(getWebSocketToken(info.req))) {
+        return done(true);
+    }
+    console.log(`🚫 Rejected unauthenticated WebSocket from ${info.req.socket.remoteAddress}`);
+    done(false, 401, 'Unauthorized');
+}
+
+// Check an inbound action against the socket's session
+// Returns an error message, or null when allowed
+function authorizeWebSocketAction(ws, action) {
+    if (!WS_ACTIONS[action]) return `Unknown action: ${action}`;
+    const session = getSession(ws.authToken);
+    if (!session) return 'Unauthorized';
+    if (!AuthService.can(session.role, WS_ACTIONS[action])) return `Not allowed with ${session.role} access`;
+    return null;
+}
+
+function auditWebSocket(ws, action, params, result) {
+    AuditLog.record({ action, session: getSession(ws.authToken), ip: ws.ip, params, result });
+    countAction(action, params, result);
+}
+
+function closeWebSocketsForSession(sessionId, reason) {
+    clients.forEach(client => {
+        if (client.sessionId === sessionId) client.close(WS_UNAUTHORIZED, reason);
+    });
+}
+
+wss.on('connection', (ws, req) => {
+    ws.authToken = getWebSocketToken(req);
+    ws.sessionId = getSession(ws.authToken)?.id || null;
+    ws.ip = req.socket.remoteAddress;
     clients.add(ws);
     console.log(`🔌 Client connected. Total: ${clients.size}`);
 
@@ -1075,14 +1821,60 @@ wss.on('connection', (ws) => {
         try {
             const msg = JSON.parse(data.toString());
 
+            const denied = authorizeWebSocketAction(ws, msg.action);
+            if (denied) {
+                ws.send(JSON.stringify({ event: 'error', data: { message: denied, action: msg.action } }));
+                // Session gone (logout/expiry) - drop the socket so the client re-authenticates
+                if (denied === 'Unauthorized') ws.close(WS_UNAUTHORIZED, 'Unauthorized');
+                return;
+            }
+
             if (msg.action === 'inject') {
                 // CDP command injection
-                const result = await CDP.injectAndSubmit(msg.text);
+                const params = { text: msg.text, submit: true, via: 'websocket' };
+                let result;
+                try {
+                    result = await CDP.injectAndSubmit(msg.text);
+                } catch (e) {
+                    auditWebSocket(ws, 'inject', params, { success: false, error: e.message });
+                    throw e;
+                }
+                auditWebSocket(ws, 'inject', params, outcome(result));
                 ws.send(JSON.stringify({ event: 'inject_result', data: result }));
             } else if (msg.action === 'screenshot') {
                 // Request screenshot
                 const base64 = await CDP.captureScreenshot();
                 ws.send(JSON.stringify({ event: 'screenshot', data: { image: base64 } }));
+            } else if (msg.action === 'chat_sync') {
+                // Subscribe to live chat patches, resuming from msg.since if possible
+                await syncChatClient(ws, msg.since, msg.epoch);
+            } else if (msg.action === 'chat_unsubscribe') {
+                ws.chatSubscribed = false;
+            } else if (msg.action === 'screencast_start') {
+                // Start (or retune) the live view: { fps, quality, maxWidth }
+                try {
+                    const options = await Screencast.addViewer(ws, msg);
+                    ws.send(JSON.stringify({ event: 'screencast_started', data: options }));
+                } catch (e) {
+                    ws.send(JSON.stringify({ event: 'screencast_error', data: { error: e.message } }));
+                }
+            } else if (msg.action === 'input') {
+                // Same events as POST /api/cdp/input, without the HTTP round trip
+                const session = getSession(ws.authToken);
+                let result;
+                try {
+                    result = await RemoteInput.dispatch(msg.event);
+                } catch (e) {
+                    auditInput(session, ws.ip, 'websocket', msg.event, { success: false, error: e.message });
+                    throw e;
+                }
+                auditInput(session, ws.ip, 'websocket', msg.event, outcome(result));
+                ws.send(JSON.stringify({ event: 'input_result', data: result }));
+            } else if (msg.action === 'screencast_ack') {
+                Screencast.ack(ws);
+            } else if (msg.action === 'screencast_stop') {
+                Screencast.removeViewer(ws);
+                ws.send(JSON.stringify({ event: 'screencast_stopped', data: {} }));
             }
         } catch (e) {
             ws.send(JSON.stringify({ event: 'error', data: { message: e.message } }));
@@ -1091,6 +1883,7 @@ wss.on('connection', (ws) => {
 
     ws.on('close', () => {
         clients.delete(ws);
+        Screencast.removeViewer(ws);
         console.log(`🔌 Client disconnected. Total: ${clients.size}`);
     });
 });
@@ -1102,8 +1895,28 @@ async function startServer() {
     // Prompt for authentication setup
     await promptForAuth();
 
-    httpServer.listen(HTTP_PORT, '0.0.0.0', () => {
-        console.log(`
+    const hosts = NetworkPolicy.getBindAddresses();
+
+    if (HTTPS_ENABLED) {
+        try {
+            const credentials = TlsService.loadOrCreate();
+            await Promise.all(hosts.map(host => listen(createHttpsServer(credentials, app), HTTPS_PORT, host)));
+            console.log(`🔒 HTTPS on port ${HTTPS_PORT} - install the CA on your phone from http://<this-ip>:${HTTP_PORT}/ca.crt`);
+            console.log(`   CA fingerprint (SHA-256): ${TlsService.getCaFingerprint()}`);
+        } catch (e) {
+            console.error('❌ Could not start HTTPS:', e.message);
+            process.exit(1);
+        }
+    }
+
+    try {
+        await Promise.all(hosts.map(host => listen(createServer(app), HTTP_PORT, host)));
+    } catch (e) {
+        console.error('❌ Could not start server:', e.message);
+        process.exit(1);
+    }
+
+    console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║       📱 Antigravity Mobile Bridge                     ║
 ╠════════════════════════════════════════════════════════╣
@@ -1113,10 +1926,32 @@ async function startServer() {
 ║  Auth:         ${authEnabled ? '🔐 ENABLED' : '🔓 Disabled'}                            ║
 ╚════════════════════════════════════════════════════════╝
     `);
+    logNetworkPolicy(hosts);
+
+    // Start workspace auto-detection
+    startWorkspacePolling();
 
-        // Start workspace auto-detection
-        startWorkspacePolling();
+    // Track agent state whether or not anyone is watching the chat
+    keepChatStreamRunning();
+
+    // Record quota for history and forecasts, and watch for low quota
+    QuotaHistory.start(handleQuotaReading);
+}
+
+// Listen on one address, with the WebSocket endpoint attached
+function listen(server, port, host) {
+    attachWebSocket(server);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server));
     });
 }
 
+function logNetworkPolicy(hosts) {
+    const policy = NetworkPolicy.describe();
+    if (hosts.length > 1 || hosts[0] !== '0.0.0.0') console.log(`🌐 Listening on ${hosts.join(', ')}`);
+    if (policy.origins.length) console.log(`🌐 Cross-origin API access allowed for ${policy.origins.join(', ')}`);
+    if (policy.allowedIps.length) console.log(`🌐 Clients limited to ${policy.allowedIps.join(', ')} (and this machine)`);
+}
+
 startServer();
@@ -5,9 +5,11 @@
  * One-click script that:
  * 1. Starts the HTTP telemetry server
  * 2. Finds Antigravity installation (Windows/Mac/Linux)
- * 3. Launches Antigravity with CDP enabled (--remote-debugging-port=9222)
+ * 3. Launches Antigravity with CDP enabled (--remote-debugging-port, 9222 by default)
+ * 4. Prints a QR code that logs a phone in (single-use pairing code)
  * 
- * Usage: node launcher.mjs
+ * Usage: node launcher.mjs [--pair] [--name "My phone"] [--viewer] [--no-qr] [settings]
+ * Settings flags (--port, --cdp-port, ...) are passed on to the server.
  */
 
 import { spawn, exec, fork } from 'child_process';
@@ -15,10 +17,13 @@ import { existsSync } from 'fs';
 import { platform, homedir, networkInterfaces } from 'os';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import QRCode from 'qrcode';
+import * as Config from './config.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const CDP_PORT = 9222;
-const HTTP_PORT = 3001;
+const { config } = Config;
+const CDP_PORT = config.cdpPort;
+const HTTP_PORT = config.port;
 
 // ============================================================================
 // Antigravity Installation Paths by Platform
@@ -131,6 +136,51 @@ async function waitForCDP(port, timeout = 10000) {
     return false;
 }
 
+// Mint a pairing code on the running server and print it as a QR code
+// (rendered here in the terminal - nothing leaves the machine)
+async function printPairingCode(baseUrl) {
+    try {
+        const res = await fetch(`http://localhost:${HTTP_PORT}/api/auth/pair`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ baseUrl, name: pairOptions.name, role: pairOptions.role })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+        console.log(await QRCode.toString(data.url, { type: 'terminal', small: true }));
+        if (data.authEnabled) {
+            const expires = new Date(data.expiresAt).toLocaleTimeString();
+            const as = pairOptions.name ? ` as "${pairOptions.name}"` : '';
+            log('📲', `Scan with your phone to log in${as} (${pairOptions.role} access, single use, expires ${expires})`);
+            log('🔄', 'Need another code? Run: node launcher.mjs --pair');
+        } else {
+            log('📲', 'Scan with your phone to open the dashboard');
+        }
+    } catch (e) {
+        log('⚠️', `Could not create pairing code: ${e.message}`);
+    }
+}
+
+async function getServerStatus() {
+    try {
+        const res = await fetch(`http://localhost:${HTTP_PORT}/api/status`);
+        return await res.json();
+    } catch {
+        return null;
+    }
+}
+
+// Dashboard URL for phones - HTTPS when the server runs in HTTPS mode
+async function getMainUrl() {
+    const ips = getLocalIPs();
+    const mainIP = ips.find(ip => ip.startsWith('192.168.')) || ips[0] || 'localhost';
+    const status = await getServerStatus();
+    return status?.https
+        ? `https://${mainIP}:${status.https.port}`
+        : `http://${mainIP}:${HTTP_PORT}`;
+}
+
 // ============================================================================
 // Main Launch Sequence
 // ============================================================================
@@ -164,7 +214,7 @@ async function main() {
         log('🚀', 'Starting HTTP server...');
 
         // Use fork for better subprocess handling
-        const httpServer = spawn('node', [httpServerPath], {
+        const httpServer = spawn('node', [httpServerPath, ...Config.getCliArgs()], {
             cwd: __dirname,
             stdio: 'ignore',
             detached: true,
@@ -281,9 +331,30 @@ async function main() {
         ips.forEach(ip => console.log(`     http://${ip}:${HTTP_PORT}`));
     }
 
+    const status = await getServerStatus();
+    if (status?.https) {
+        log('🔒', `HTTPS: https://${mainIP}:${status.https.port} (plain HTTP redirects there)`);
+        log('📜', `Install the certificate on your phone first: http://${mainIP}:${HTTP_PORT}/ca.crt`);
+        console.log(`     SHA-256: ${status.https.caFingerprint}`);
+    }
+
+    if (pairOptions.qr) {
+        console.log('');
+        await printPairingCode(await getMainUrl());
+    }
+
     console.log('\n✅ You can close this window - servers will keep running.\n');
 }
 
+// Only print a fresh pairing code for an already running server
+async function pairOnly() {
+    if (!(await waitForServer(HTTP_PORT, 2000))) {
+        log('❌', `HTTP server is not running on port ${HTTP_PORT} - start it with: node launcher.mjs`);
+        process.exit(1);
+    }
+    await printPairingCode(await getMainUrl());
+}
+
 // ============================================================================
 // CLI
 // ============================================================================
@@ -296,24 +367,36 @@ Antigravity Mobile Launcher
 Usage: node launcher.mjs [options]
 
 Options:
-  --help, -h    Show this help
-
-Environment Variables:
-  ANTIGRAVITY_PATH   Custom path to Antigravity executable
+  --pair          Only print a new pairing QR code (server must be running)
+  --name <name>   Device name for the paired session
+  --viewer        Pair with read-only (viewer) access
+  --no-qr         Don't print a pairing QR code
+  --config <file> Settings file (default data/config.json)
+  --help, -h      Show this help
+
+Settings (flag, environment variable, "key" in the config file):
+${Config.describeOptions()}
     `);
     process.exit(0);
 }
 
-// Custom path from env
-if (process.env.ANTIGRAVITY_PATH) {
-    const customPath = process.env.ANTIGRAVITY_PATH;
+const nameIndex = args.indexOf('--name');
+const pairOptions = {
+    qr: !args.includes('--no-qr'),
+    name: nameIndex >= 0 ? args[nameIndex + 1] : undefined,
+    role: args.includes('--viewer') ? 'viewer' : 'operator'
+};
+
+// Custom path from the antigravityPath setting (ANTIGRAVITY_PATH)
+if (config.antigravityPath) {
+    const customPath = config.antigravityPath;
     if (existsSync(customPath)) {
         ANTIGRAVITY_PATHS[platform()] = [customPath];
     }
 }
 
 // Run!
-main().catch(err => {
+(args.includes('--pair') ? pairOnly() : main()).catch(err => {
     console.error('\n❌ Error:', err.message);
     process.exit(1);
 });
@@ -0,0 +1,117 @@
+/**
+ * Login Guard - Brute-force protection for the PIN login
+ *
+ * Failed logins are counted per IP and across all clients:
+ * - An IP gets MAX_FAILURES tries, then is locked out for 30s, doubling
+ *   with every further failure (up to 1 hour)
+ * - Too many failures from anywhere within GLOBAL_WINDOW lock the login
+ *   for everyone, doubling with each global lockout
+ * - Only one login attempt per IP is checked at a time
+ * Counters reset after a successful login or a quiet period.
+ */
+
+const MAX_FAILURES = 5;
+const BASE_LOCKOUT = 30 * 1000;
+const MAX_LOCKOUT = 60 * 60 * 1000;
+const FORGET_AFTER = 24 * 60 * 60 * 1000;
+
+const GLOBAL_MAX_FAILURES = 30;
+const GLOBAL_WINDOW = 10 * 60 * 1000;
+const GLOBAL_BASE_LOCKOUT = 5 * 60 * 1000;
+
+// State
+const clients = new Map(); // ip -> { failures, lockedUntil, lastFailureAt, pending }
+let globalFailures = [];   // timestamps within GLOBAL_WINDOW
+let globalLockedUntil = 0;
+let globalLockouts = 0;
+let globalLastLockoutAt = 0;
+
+function lockoutDuration(base, count) {
+    return Math.min(MAX_LOCKOUT, base * 2 ** Math.max(0, count));
+}
+
+// Drop IPs that have been quiet for a day
+function prune(now) {
+    for (const [ip, client] of clients) {
+        if (!client.pending && client.lockedUntil <= now && now - client.lastFailureAt > FORGET_AFTER) {
+            clients.delete(ip);
+        }
+    }
+}
+
+function getClient(ip, now) {
+    let client = clients.get(ip);
+    if (client && now - client.lastFailureAt > FORGET_AFTER && !client.pending) {
+        clients.delete(ip);
+        client = null;
+    }
+    if (!client) {
+        client = { failures: 0, lockedUntil: 0, lastFailureAt: 0, pending: false };
+        clients.set(ip, client);
+    }
+    return client;
+}
+
+/**
+ * Start a login attempt
+ * Returns { allowed: true } or { allowed: false, retryAfter, scope }
+ * Every allowed attempt must be finished with finish()
+ */
+export function begin(ip) {
+    const now = Date.now();
+
+    if (globalLockedUntil > now) {
+        return { allowed: false, retryAfter: Math.ceil((globalLockedUntil - now) / 1000), scope: 'global' };
+    }
+
+    if (clients.size > 1000) prune(now);
+    const client = getClient(ip, now);
+    if (client.lockedUntil > now) {
+        return { allowed: false, retryAfter: Math.ceil((client.lockedUntil - now) / 1000), scope: 'ip' };
+    }
+    if (client.pending) {
+        return { allowed: false, retryAfter: 1, scope: 'ip' };
+    }
+
+    client.pending = true;
+    return { allowed: true };
+}
+
+/**
+ * Finish a login attempt
+ * Returns lockout details when this failure caused a lockout, else null:
+ * { scope: 'ip' | 'global', ip, failures, until }
+ */
+export function finish(ip, success) {
+    const now = Date.now();
+    const client = getClient(ip, now);
+    client.pending = false;
+
+    if (success) {
+        clients.delete(ip);
+        return null;
+    }
+
+    client.failures++;
+    client.lastFailureAt = now;
+
+    globalFailures = globalFailures.filter(t => now - t < GLOBAL_WINDOW);
+    globalFailures.push(now);
+
+    if (globalFailures.length >= GLOBAL_MAX_FAILURES) {
+        // Lockouts close together escalate; a quiet day starts over
+        if (now - globalLastLockoutAt > FORGET_AFTER) globalLockouts = 0;
+        globalLockedUntil = now + lockoutDuration(GLOBAL_BASE_LOCKOUT, globalLockouts);
+        globalLockouts++;
+        globalLastLockoutAt = now;
+        globalFailures = [];
+        return { scope: 'global', ip, failures: client.failures, until: new Date(globalLockedUntil).toISOString() };
+    }
+
+    if (client.failures >= MAX_FAILURES) {
+        client.lockedUntil = now + lockoutDuration(BASE_LOCKOUT, client.failures - MAX_FAILURES);
+        return { scope: 'ip', ip, failures: client.failures, until: new Date(client.lockedUntil).toISOString() };
+    }
+
+    return null;
+}
@@ -0,0 +1,112 @@
+/**
+ * Language Server Gateway - Allowlisted access to LanguageServerService RPCs
+ *
+ * /api/ls/:method forwards to the Antigravity language server over
+ * Connect-JSON, using the port and CSRF token QuotaService already found.
+ * Only methods listed in the lsMethods setting can be called. Responses are
+ * reused for lsCacheSeconds (per method and request body), passed through
+ * the redaction pipeline, and lightly cleaned up without needing the
+ * protobuf schema:
+ * - 64-bit integers, which Connect-JSON sends as strings, become numbers
+ *   when they fit
+ * - `pick` paths ("userStatus.planStatus") select just the parts wanted
+ */
+
+import * as QuotaService from './quota-service.mjs';
+import * as Redaction from './redaction.mjs';
+import { config } from './config.mjs';
+
+// Sent with every call unless the body has its own
+const DEFAULT_METADATA = { ideName: 'antigravity', extensionName: 'antigravity', locale: 'en' };
+const MAX_CACHED = 100;
+const INT64 = /^-?(0|[1-9]\d*)$/;
+
+const cache = new Map(); // "method:body" -> { data, fetchedAt, at }
+
+export function isAllowed(method) {
+    return config.lsMethods.includes(method);
+}
+
+export function getMethods() {
+    return [...config.lsMethods];
+}
+
+/**
+ * Turn int64 strings into numbers where that loses nothing
+ */
+export function simplify(value) {
+    if (typeof value === 'string' && INT64.test(value)) {
+        const number = Number(value);
+        return Number.isSafeInteger(number) ? number : value;
+    }
+    if (Array.isArray(value)) return value.map(simplify);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [key, v] of Object.entries(value)) out[key] = simplify(v);
+        return out;
+    }
+    return value;
+}
+
+/**
+ * Select parts of a response by dot paths
+ * One path returns its value; several return { path: value }
+ */
+export function pick(data, paths) {
+    const get = path => path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+    if (paths.length === 1) return get(paths[0]) ?? null;
+    const out = {};
+    for (const path of paths) out[path] = get(path) ?? null;
+    return out;
+}
+
+// Connect errors come as { code, message }
+function connectError(e) {
+    try {
+        const { code, message } = JSON.parse(e.body);
+        if (code) return `Language server: ${code}${message ? ` - ${message}` : ''}`;
+    } catch (err) {
+        // Not JSON
+    }
+    return e.message;
+}
+
+/**
+ * Call an allowlisted method
+ * options: { body, pick (comma-separated paths), fresh (skip the cache) }
+ * Returns { method, data, cached, fetchedAt } or { error, status }
+ */
+export async function call(method, options = {}) {
+    if (!isAllowed(method)) {
+        return { error: `Method not allowed: ${method}`, status: 403 };
+    }
+
+    const body = { metadata: DEFAULT_METADATA, ...(options.body || {}) };
+    const key = `${method}:${JSON.stringify(body)}`;
+    const ttl = config.lsCacheSeconds * 1000;
+
+    let entry = cache.get(key);
+    const cached = !!entry && !options.fresh && Date.now() - entry.at < ttl;
+    if (!cached) {
+        try {
+            const response = await QuotaService.callLanguageServer(method, body);
+            entry = { data: simplify(response), fetchedAt: new Date().toISOString(), at: Date.now() };
+        } catch (e) {
+            if (!e.statusCode) return { error: e.message, status: 503 };
+            // The language server answered but refused (unknown method, bad body, ...)
+            return { error: connectError(e), status: e.statusCode === 404 ? 404 : 502 };
+        }
+        cache.delete(key);
+        if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+        if (ttl > 0) cache.set(key, entry);
+    }
+
+    const paths = options.pick ? String(options.pick).split(',').map(p => p.trim()).filter(Boolean) : [];
+    const data = paths.length ? pick(entry.data, paths) : entry.data;
+    return {
+        method,
+        data: Redaction.redactValue(data),
+        cached,
+        fetchedAt: entry.fetchedAt
+    };
+}
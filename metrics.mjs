@@ -0,0 +1,152 @@
+/**
+ * Metrics - Prometheus text format for /metrics
+ *
+ * A small registry of counters, gauges and histograms, plus the series the
+ * bridge reports. Modules record into the series as things happen;
+ * point-in-time values (connected clients, stream state) are filled in by
+ * collectors registered with onCollect() just before each scrape.
+ */
+
+const registry = new Map(); // name -> metric
+const collectors = [];
+
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labels = {}) {
+    return Object.keys(labels).sort().map(k => `${k}="${escapeLabel(labels[k] ?? '')}"`).join(',');
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function define(type, name, help, extra = {}) {
+    const metric = { type, name, help, series: new Map(), ...extra };
+    registry.set(name, metric);
+    return metric;
+}
+
+export function counter(name, help) {
+    const metric = define('counter', name, help);
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labels);
+            metric.series.set(key, (metric.series.get(key) || 0) + amount);
+        }
+    };
+}
+
+export function gauge(name, help) {
+    const metric = define('gauge', name, help);
+    return {
+        set(labels, value) {
+            metric.series.set(labelKey(labels), value);
+        },
+        reset() {
+            metric.series.clear();
+        }
+    };
+}
+
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = define('histogram', name, help, { buckets });
+    return {
+        observe(labels, value) {
+            const key = labelKey(labels);
+            let series = metric.series.get(key);
+            if (!series) {
+                series = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                metric.series.set(key, series);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) series.counts[i]++;
+            });
+            series.sum += value;
+            series.count++;
+        }
+    };
+}
+
+/**
+ * Run fn() before every scrape to refresh point-in-time gauges
+ */
+export function onCollect(fn) {
+    collectors.push(fn);
+}
+
+function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    for (const [key, value] of metric.series) {
+        if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${key ? `{${key}}` : ''} ${formatValue(value)}`);
+            continue;
+        }
+        const prefix = key ? `${key},` : '';
+        metric.buckets.forEach((bound, i) => {
+            lines.push(`${metric.name}_bucket{${prefix}le="${bound}"} ${value.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket{${prefix}le="+Inf"} ${value.count}`);
+        lines.push(`${metric.name}_sum${key ? `{${key}}` : ''} ${value.sum}`);
+        lines.push(`${metric.name}_count${key ? `{${key}}` : ''} ${value.count}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Everything in the Prometheus text exposition format
+ */
+export async function render() {
+    for (const collect of collectors) {
+        try {
+            await collect();
+        } catch (e) {
+            console.log(`⚠️ Metrics collector failed: ${e.message}`);
+        }
+    }
+    return [...registry.values()].map(renderMetric).join('\n\n') + '\n';
+}
+
+/**
+ * Wrap a CDP function so its calls are timed and failures counted under
+ * `name` - a throw, or a { success: false } result. Probes inside it that
+ * come up empty (a context without the chat) are not failures.
+ */
+export function timeCdpFunction(name, fn) {
+    return async (...args) => {
+        const start = process.hrtime.bigint();
+        const done = () => cdpCallDuration.observe({ function: name }, Number(process.hrtime.bigint() - start) / 1e9);
+        try {
+            const result = await fn(...args);
+            done();
+            if (result && result.success === false) cdpCallErrors.inc({ function: name });
+            return result;
+        } catch (e) {
+            done();
+            cdpCallErrors.inc({ function: name });
+            throw e;
+        }
+    };
+}
+
+// ============================================================================
+// Series reported by the bridge
+// ============================================================================
+const processStart = gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds');
+processStart.set({}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+export const quotaRemaining = gauge('antigravity_quota_remaining_percent', 'Remaining quota per model, in percent');
+export const quotaResetTime = gauge('antigravity_quota_reset_timestamp_seconds', 'When each model\'s quota resets, as a Unix timestamp');
+export const websocketClients = gauge('antigravity_websocket_clients', 'Connected WebSocket clients');
+export const chatStreamActive = gauge('antigravity_chat_stream_active', '1 while the live chat stream is running, by mode');
+export const chatUpdates = counter('antigravity_chat_updates_total', 'Chat changes captured and sent to clients');
+export const cdpCallDuration = histogram('antigravity_cdp_call_duration_seconds', 'Duration of CDP client and chat stream calls, by function');
+export const cdpCallErrors = counter('antigravity_cdp_call_errors_total', 'Failed CDP client and chat stream calls, by function');
+export const workspacePollFailures = gauge('antigravity_workspace_poll_consecutive_failures', 'Workspace detection failures in a row');
+export const injects = counter('antigravity_injects_total', 'Prompts sent to the agent, by channel and result');
+export const approvals = counter('antigravity_approvals_total', 'Command approvals and rejections, by result');
@@ -0,0 +1,139 @@
+/**
+ * Model Catalog - The models Antigravity offers, in one place
+ *
+ * Built from the labels of clientModelConfigs in the language server's
+ * GetUserStatus response (via QuotaService) - the list the IDE's model
+ * dropdown is made from. The IDE's own dropdown is never opened for this.
+ * The last list found is kept in data/model-catalog.json so there is still
+ * something to offer while the language server can't be reached.
+ *
+ * Each model is joined with its quota: { id, name, available, remainingPercent,
+ * status, resetAt, resetIn }. A model is available while it's offered and
+ * not exhausted.
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import * as QuotaService from './quota-service.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, 'data');
+const CATALOG_FILE = join(DATA_DIR, 'model-catalog.json');
+
+let catalog = loadCatalog(); // { models: [{ id, name }], source, updatedAt }
+
+function loadCatalog() {
+    try {
+        if (existsSync(CATALOG_FILE)) {
+            const saved = JSON.parse(readFileSync(CATALOG_FILE, 'utf-8'));
+            if (Array.isArray(saved.models)) return { ...saved, source: 'saved' };
+        }
+    } catch (e) {
+        console.log(`⚠️ Could not read saved model catalog: ${e.message}`);
+    }
+    return { models: [], source: 'none', updatedAt: null };
+}
+
+function setCatalog(models, source) {
+    catalog = { models, source, updatedAt: new Date().toISOString() };
+    try {
+        if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+        writeFileSync(CATALOG_FILE, JSON.stringify({ models, updatedAt: catalog.updatedAt }, null, 2));
+    } catch (e) {
+        console.log(`⚠️ Could not save model catalog: ${e.message}`);
+    }
+}
+
+function normalize(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Find a model by name or id in a list of { id, name } - exact match first,
+ * then the closest name where one contains the other
+ * ("Claude Opus 4.5" for "Claude Opus 4.5 (Thinking)")
+ */
+export function findModel(models, name) {
+    const wanted = normalize(name);
+    if (!wanted) return null;
+    const exact = models.find(m => normalize(m.name) === wanted || normalize(m.id) === wanted);
+    if (exact) return exact;
+    const related = models.filter(m => {
+        const candidate = normalize(m.name);
+        return candidate && (wanted.startsWith(candidate) || candidate.startsWith(wanted));
+    });
+    return related.sort((a, b) => normalize(b.name).length - normalize(a.name).length)[0] || null;
+}
+
+function withQuota(model, quotaModels) {
+    const quota = quotaModels ? findModel(quotaModels, model.name) : null;
+    return {
+        id: model.id,
+        name: model.name,
+        available: quota?.status !== 'exhausted',
+        remainingPercent: quota?.remainingPercent ?? null,
+        status: quota?.status || null,
+        resetAt: quota?.resetAt || null,
+        resetIn: quota?.resetIn || null
+    };
+}
+
+/**
+ * The catalog, refreshed from the language server and joined with quota.
+ * Returns { models, source, updatedAt }
+ * source: 'language-server' | 'saved' | 'none'
+ */
+export async function getModels() {
+    const quota = await QuotaService.getQuota();
+
+    if (quota.available && quota.models.length > 0) {
+        const models = quota.models.map(m => ({ id: m.id, name: m.name }));
+        if (catalog.source !== 'language-server' || JSON.stringify(models) !== JSON.stringify(catalog.models)) {
+            setCatalog(models, 'language-server');
+        }
+    }
+
+    return {
+        models: catalog.models.map(m => withQuota(m, quota.available ? quota.models : null)),
+        source: catalog.source,
+        updatedAt: catalog.updatedAt
+    };
+}
+
+/**
+ * The last known catalog without refreshing (no quota attached)
+ */
+export function getCached() {
+    return {
+        models: catalog.models.map(m => withQuota(m, null)),
+        source: catalog.source,
+        updatedAt: catalog.updatedAt
+    };
+}
+
+/**
+ * Catalog entry for a requested model name, or null if the catalog is
+ * known and doesn't have it (after a refresh, in case a model was just
+ * added). With no catalog at all the name is passed through as-is.
+ */
+export async function resolve(name) {
+    let found = findModel(catalog.models, name);
+    if (!found) {
+        await getModels();
+        found = findModel(catalog.models, name);
+    }
+    if (!found && catalog.models.length === 0) return { id: name, name };
+    return found;
+}
+
+/**
+ * Mark each quota entry with whether the model can be picked right now
+ */
+export function joinQuota(quotaModels) {
+    return quotaModels.map(model => ({
+        ...model,
+        available: model.status !== 'exhausted' &&
+            (catalog.models.length === 0 || !!findModel(catalog.models, model.name))
+    }));
+}
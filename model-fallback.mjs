@@ -0,0 +1,133 @@
+/**
+ * Model Fallback - Switches away from a model whose quota has run out
+ *
+ * The modelFallbacks setting maps a model to an ordered list of others.
+ * On each quota reading, if the model selected in the IDE is exhausted,
+ * the first fallback that still has quota is selected instead; if that
+ * one runs out too, the next one in the list takes over. With
+ * modelFallbackRestore on, the original model is selected again once its
+ * quota resets - unless someone picked a different model in the meantime.
+ *
+ * Model names in the IDE and in the quota API don't always match exactly,
+ * so they're matched loosely through ModelCatalog.findModel().
+ */
+
+import * as CDP from './cdp-client.mjs';
+import * as ModelCatalog from './model-catalog.mjs';
+import { config } from './config.mjs';
+
+let switched = null; // { from, to, resetAt } while a fallback is active
+let checking = false;
+let lastStuck = null; // model we last reported as having no fallback left
+
+function normalize(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function sameModel(a, b) {
+    return normalize(a) === normalize(b);
+}
+
+function getFallbacks(model) {
+    const key = Object.keys(config.modelFallbacks).find(k => sameModel(k, model));
+    return key ? config.modelFallbacks[key] : [];
+}
+
+export function isEnabled() {
+    return Object.keys(config.modelFallbacks).length > 0;
+}
+
+/**
+ * The fallback currently in effect, or null
+ */
+export function getState() {
+    return switched ? { ...switched } : null;
+}
+
+/**
+ * Act on a quota reading (from QuotaService.getQuota())
+ * Returns { from, to, reason: 'quota_exhausted' | 'quota_reset' } when the
+ * model was changed, otherwise null
+ */
+export async function check(quota) {
+    if (!isEnabled() || !quota?.available || checking) return null;
+    checking = true;
+    try {
+        const { model: current } = await CDP.getModelAndMode();
+        if (!current || current === 'Unknown') return null;
+
+        // Someone picked another model by hand - that choice wins
+        if (switched && !sameModel(current, switched.to)) {
+            switched = null;
+        }
+
+        if (switched) {
+            const restored = await maybeRestore(quota.models);
+            if (restored) return restored;
+
+            // The fallback ran out as well - move further down the list
+            const active = ModelCatalog.findModel(quota.models, switched.to);
+            if (active?.status !== 'exhausted') return null;
+            return await switchAway(quota.models, switched.from, switched.resetAt, switched.to);
+        }
+
+        const entry = ModelCatalog.findModel(quota.models, current);
+        if (entry?.status !== 'exhausted') {
+            lastStuck = null;
+            return null;
+        }
+        return await switchAway(quota.models, current, entry.resetAt || null);
+    } catch (e) {
+        console.log(`⚠️ Model fallback check failed: ${e.message}`);
+        return null;
+    } finally {
+        checking = false;
+    }
+}
+
+/**
+ * Select the first usable fallback for `original`. When already on one of
+ * them (`current`), only the ones after it are tried.
+ */
+async function switchAway(models, original, resetAt, current = original) {
+    const fallbacks = getFallbacks(original);
+    const position = fallbacks.findIndex(name => ModelCatalog.findModel([{ id: name, name }], current));
+    for (const candidate of fallbacks.slice(position + 1)) {
+        // Not (or no longer) offered by Antigravity
+        const offered = await ModelCatalog.resolve(candidate);
+        if (!offered) continue;
+        // No quota entry means the API doesn't limit it
+        const candidateQuota = ModelCatalog.findModel(models, offered.name);
+        if (candidateQuota?.status === 'exhausted') continue;
+
+        const result = await CDP.setModel(offered.name);
+        if (!result.success) {
+            console.log(`⚠️ Could not switch to fallback ${offered.name}: ${result.error || 'unknown error'}`);
+            continue;
+        }
+        switched = { from: original, to: result.selected || offered.name, resetAt };
+        lastStuck = null;
+        return { from: current, to: switched.to, reason: 'quota_exhausted' };
+    }
+
+    if (lastStuck !== current && fallbacks.length) {
+        console.log(`🪫 ${current} is out of quota and no fallback has any left`);
+        lastStuck = current;
+    }
+    return null;
+}
+
+async function maybeRestore(models) {
+    if (!config.modelFallbackRestore) return null;
+    if (switched.resetAt && Date.now() < switched.resetAt) return null;
+
+    const original = ModelCatalog.findModel(models, switched.from);
+    if (original?.status === 'exhausted') return null;
+
+    const result = await CDP.setModel(switched.from);
+    if (!result.success) return null; // Try again on the next reading
+
+    const change = { from: switched.to, to: result.selected || switched.from, reason: 'quota_reset' };
+    switched = null;
+    return change;
+}
@@ -0,0 +1,145 @@
+/**
+ * Network Policy - Who may reach the server, and where it listens
+ *
+ * - bind (MOBILE_BIND): addresses to listen on (default 0.0.0.0). Loopback
+ *   is always added so the launcher on this machine can reach the server.
+ * - corsOrigins (MOBILE_CORS_ORIGINS): other web origins allowed to call the
+ *   API or open the WebSocket (default none; the UI's own origins - this
+ *   machine's names and LAN addresses on the server's ports - always are).
+ *   `*` allows any origin.
+ * - allowedIps (MOBILE_ALLOWED_IPS): client IPs / CIDR ranges allowed to
+ *   connect (default any; entries are validated by config.mjs). This
+ *   machine is always allowed.
+ */
+
+import { BlockList, isIP } from 'net';
+import { config } from './config.mjs';
+import { getHosts } from './tls-service.mjs';
+
+const LOOPBACK = '127.0.0.1';
+const WILDCARDS = ['0.0.0.0', '::'];
+const OWN_ORIGINS_TTL = 30000;
+
+// IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+    const value = String(ip || '');
+    return value.startsWith('::ffff:') && isIP(value.slice(7)) === 4 ? value.slice(7) : value;
+}
+
+function normalizeOrigin(origin) {
+    return origin.toLowerCase().replace(/\/+$/, '');
+}
+
+// ============================================================================
+// Bind addresses
+// ============================================================================
+const bindAddresses = (() => {
+    const hosts = config.bind;
+    if (hosts.length === 0) return ['0.0.0.0'];
+    const covered = hosts.some(h => WILDCARDS.includes(h) || h === LOOPBACK || h === 'localhost');
+    return covered ? [...new Set(hosts)] : [...new Set([...hosts, LOOPBACK])];
+})();
+
+/**
+ * Addresses to listen on
+ */
+export function getBindAddresses() {
+    return bindAddresses;
+}
+
+// ============================================================================
+// Client IP allowlist
+// ============================================================================
+const ipFilterEnabled = config.allowedIps.length > 0;
+const ipRules = new BlockList();
+
+for (const entry of config.allowedIps) {
+    const [address, prefix] = entry.split('/');
+    const type = isIP(address) === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+        ipRules.addAddress(address, type);
+    } else {
+        ipRules.addSubnet(address, Number(prefix), type);
+    }
+}
+
+/**
+ * Whether a client address may connect
+ */
+export function isIpAllowed(remoteAddress) {
+    if (!ipFilterEnabled) return true;
+    const ip = normalizeIp(remoteAddress);
+    if (ip === LOOPBACK || ip === '::1') return true;
+    const family = isIP(ip);
+    if (!family) return false;
+    return ipRules.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// ============================================================================
+// Origins
+// ============================================================================
+const allowedOrigins = config.corsOrigins.map(normalizeOrigin);
+const anyOrigin = allowedOrigins.includes('*');
+
+let ownOrigins = null;
+let ownOriginsAt = 0;
+
+// Where the UI itself is served from: localhost, the hostname and LAN IPs
+// (as on the server certificate) and any specific bind address, on the
+// HTTP port and the HTTPS port when enabled. Refreshed now and then since
+// LAN IPs come and go.
+function getOwnOrigins() {
+    if (!ownOrigins || Date.now() - ownOriginsAt > OWN_ORIGINS_TTL) {
+        const { dns, ips } = getHosts();
+        const hosts = [...dns, ...ips, '::1', ...bindAddresses.filter(h => !WILDCARDS.includes(h))]
+            .map(h => isIP(h) === 6 ? `[${h}]` : h.toLowerCase());
+        ownOrigins = new Set();
+        for (const host of hosts) {
+            ownOrigins.add(`http://${host}:${config.port}`);
+            if (config.https) ownOrigins.add(`https://${host}:${config.httpsPort}`);
+        }
+        ownOriginsAt = Date.now();
+    }
+    return ownOrigins;
+}
+
+function isOwnOrigin(origin) {
+    try {
+        const url = new URL(origin);
+        const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+        return getOwnOrigins().has(`${url.protocol}//${url.hostname}:${port}`);
+    } catch (e) {
+        // "null" (file://, sandboxed frames) or garbage - only if listed
+        return false;
+    }
+}
+
+/**
+ * Whether a request's Origin is acceptable
+ * No Origin (curl, the launcher, same-origin navigation) and the server's
+ * own origins are always fine; anything else must be listed. The Host
+ * header is not consulted: a rebound DNS name would match it.
+ */
+export function isOriginAllowed(origin) {
+    if (!origin) return true;
+    if (anyOrigin) return true;
+    return isOwnOrigin(origin) || allowedOrigins.includes(normalizeOrigin(origin));
+}
+
+/**
+ * Whether the origin is a listed cross-origin caller that should get CORS headers
+ */
+export function isCrossOriginAllowed(origin) {
+    return !!origin && (anyOrigin || allowedOrigins.includes(normalizeOrigin(origin)));
+}
+
+/**
+ * Summary for the startup log
+ */
+export function describe() {
+    return {
+        bind: bindAddresses,
+        origins: anyOrigin ? ['*'] : allowedOrigins,
+        allowedIps: config.allowedIps
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Quota Alerts - Notices when a model's quota crosses a threshold
+ *
+ * Each fresh quota reading is compared with what was already announced
+ * for that model. Getting worse (warning → danger → exhausted) raises one
+ * alert per level; nothing is repeated until the quota resets (its resetAt
+ * passes or the model is healthy again). Thresholds come from
+ * QuotaService.getThresholds(), so alerts agree with the status shown.
+ */
+
+import * as QuotaService from './quota-service.mjs';
+
+const SEVERITY = { healthy: 0, warning: 1, danger: 2, exhausted: 3 };
+
+const announced = new Map(); // model id -> { level, resetAt }
+
+/**
+ * Alerts for models that crossed a threshold since the last check
+ * models: as returned by QuotaService.getQuota()
+ * Returns [{ model, name, status, remainingPercent, threshold, resetAt, resetIn }]
+ */
+export function check(models) {
+    const alerts = [];
+    const now = Date.now();
+
+    for (const model of models || []) {
+        const level = SEVERITY[model.status] ?? 0;
+        let entry = announced.get(model.id);
+
+        // New quota window - forget what was announced for the old one
+        if (!entry || level === 0 || (entry.resetAt && now >= entry.resetAt)) {
+            entry = { level: 0, resetAt: null };
+        }
+        entry.resetAt = model.resetAt || null;
+
+        if (level > entry.level) {
+            entry.level = level;
+            const thresholds = QuotaService.getThresholds(model.id, model.name);
+            alerts.push({
+                model: model.id,
+                name: model.name,
+                status: model.status,
+                remainingPercent: model.remainingPercent,
+                threshold: model.status === 'warning' ? thresholds.warning
+                    : model.status === 'danger' ? thresholds.danger : 0,
+                resetAt: model.resetAt,
+                resetIn: model.resetIn
+            });
+        }
+        announced.set(model.id, entry);
+    }
+    return alerts;
+}
@@ -0,0 +1,185 @@
+/**
+ * Quota History - Samples model quota over time for burn rate and forecasts
+ *
+ * Every quotaSampleMinutes the current quota of each model is written to a
+ * small SQLite database (sql.js, saved to data/quota-history.db). From the
+ * samples since the last reset we work out how fast a model is being used
+ * and, at that pace, when it will run out - and whether that happens
+ * before the quota resets. Samples older than quotaHistoryDays are dropped.
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import initSqlJs from 'sql.js';
+import * as QuotaService from './quota-service.mjs';
+import { config } from './config.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, 'data');
+const DB_FILE = join(DATA_DIR, 'quota-history.db');
+
+const HOUR = 60 * 60 * 1000;
+// Burn rate looks at recent use only, so a busy morning doesn't skew the evening
+const RATE_WINDOW_MS = 3 * HOUR;
+// Less than this between samples is too little to call a trend
+const MIN_RATE_SPAN_MS = 10 * 60 * 1000;
+const MAX_HOURS = 24 * 30;
+
+let dbPromise = null;
+let samplerInterval = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = initSqlJs().then(SQL => {
+            let db;
+            try {
+                db = existsSync(DB_FILE) ? new SQL.Database(readFileSync(DB_FILE)) : new SQL.Database();
+            } catch (e) {
+                console.log(`⚠️ Quota history unreadable, starting fresh: ${e.message}`);
+                db = new SQL.Database();
+            }
+            db.run(`CREATE TABLE IF NOT EXISTS samples (
+                model_id TEXT NOT NULL,
+                name TEXT,
+                at INTEGER NOT NULL,
+                remaining REAL NOT NULL,
+                reset_at INTEGER
+            )`);
+            db.run('CREATE INDEX IF NOT EXISTS samples_model_at ON samples (model_id, at)');
+            return db;
+        });
+    }
+    return dbPromise;
+}
+
+function save(db) {
+    try {
+        if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+        writeFileSync(DB_FILE, Buffer.from(db.export()));
+    } catch (e) {
+        console.log(`⚠️ Could not save quota history: ${e.message}`);
+    }
+}
+
+/**
+ * Record the current quota of every model
+ * Returns the quota reading it recorded
+ */
+export async function sample() {
+    const quota = await QuotaService.getQuota();
+    if (!quota.available || !quota.models?.length) return quota;
+
+    const db = await openDatabase();
+    const now = Date.now();
+    const insert = db.prepare('INSERT INTO samples (model_id, name, at, remaining, reset_at) VALUES (?, ?, ?, ?, ?)');
+    try {
+        for (const model of quota.models) {
+            insert.run([String(model.id), model.name || null, now, model.remainingPercent, model.resetAt || null]);
+        }
+    } finally {
+        insert.free();
+    }
+    db.run('DELETE FROM samples WHERE at < ?', [now - config.quotaHistoryDays * 24 * HOUR]);
+    save(db);
+    return quota;
+}
+
+/**
+ * Start sampling in the background
+ * onQuota(quota) is called with each reading (for alerts)
+ */
+export function start(onQuota) {
+    if (samplerInterval) return;
+    const run = () => sample()
+        .then(quota => onQuota?.(quota))
+        .catch(e => console.log(`⚠️ Quota sample failed: ${e.message}`));
+    run();
+    samplerInterval = setInterval(run, config.quotaSampleMinutes * 60 * 1000);
+    console.log(`📈 Sampling quota every ${config.quotaSampleMinutes} min`);
+}
+
+/**
+ * Burn rate and exhaustion forecast from one model's samples
+ * samples: [{ at, remaining }] oldest first, remaining in percent
+ * Only samples since the last reset (remaining went up) and within the
+ * last few hours count. Returns { ratePerHour, exhaustsAt, exhaustsBeforeReset }
+ * - ratePerHour is null when there isn't enough data yet.
+ */
+export function computeForecast(samples, resetAt) {
+    const none = { ratePerHour: null, exhaustsAt: null, exhaustsBeforeReset: null };
+    if (!samples.length) return none;
+
+    const latest = samples[samples.length - 1];
+    let first = samples.length - 1;
+    while (first > 0 &&
+        samples[first - 1].remaining >= samples[first].remaining &&
+        samples[first - 1].at >= latest.at - RATE_WINDOW_MS) {
+        first--;
+    }
+
+    const start = samples[first];
+    const span = latest.at - start.at;
+    if (span < MIN_RATE_SPAN_MS) return none;
+
+    const ratePerHour = Math.round(Math.max(0, (start.remaining - latest.remaining) / (span / HOUR)) * 10) / 10;
+    if (latest.remaining <= 0) {
+        return { ratePerHour, exhaustsAt: latest.at, exhaustsBeforeReset: true };
+    }
+    if (ratePerHour === 0) {
+        return { ratePerHour, exhaustsAt: null, exhaustsBeforeReset: resetAt ? false : null };
+    }
+
+    const exhaustsAt = Math.round(latest.at + (latest.remaining / ratePerHour) * HOUR);
+    return {
+        ratePerHour,
+        exhaustsAt,
+        exhaustsBeforeReset: resetAt ? exhaustsAt < resetAt : null
+    };
+}
+
+/**
+ * Samples and forecast per model
+ * options: { hours (default 24), model (id) }
+ */
+export async function getHistory({ hours = 24, model = null } = {}) {
+    const db = await openDatabase();
+    const span = Math.min(MAX_HOURS, Math.max(1, Number(hours) || 24));
+    const since = Date.now() - span * HOUR;
+
+    const query = db.prepare(
+        `SELECT model_id, name, at, remaining, reset_at FROM samples
+         WHERE at >= ? AND (? IS NULL OR model_id = ?) ORDER BY model_id, at`
+    );
+    const byModel = new Map();
+    try {
+        query.bind([since, model, model]);
+        while (query.step()) {
+            const row = query.getAsObject();
+            if (!byModel.has(row.model_id)) {
+                byModel.set(row.model_id, { id: row.model_id, name: row.name, samples: [] });
+            }
+            const entry = byModel.get(row.model_id);
+            entry.name = row.name || entry.name;
+            entry.resetAt = row.reset_at || null;
+            entry.samples.push({ at: row.at, remaining: row.remaining });
+        }
+    } finally {
+        query.free();
+    }
+
+    const models = [...byModel.values()].map(entry => {
+        const latest = entry.samples[entry.samples.length - 1];
+        return {
+            ...entry,
+            remaining: latest.remaining,
+            ...computeForecast(entry.samples, entry.resetAt)
+        };
+    });
+
+    return {
+        hours: span,
+        sampleMinutes: config.quotaSampleMinutes,
+        models
+    };
+}
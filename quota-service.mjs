@@ -3,18 +3,23 @@
  * 
  * Finds the Antigravity language server process, extracts port and CSRF token
  * from command line, then calls GetUserStatus API to get quota data.
+ * Processes and their listening ports are found with PowerShell on Windows,
+ * /proc on Linux and ps + lsof on macOS.
  */
 
 import https from 'https';
 import { exec } from 'child_process';
+import { readFileSync, readdirSync, readlinkSync } from 'fs';
 import { promisify } from 'util';
+import { config } from './config.mjs';
 
 const execAsync = promisify(exec);
 
 // API endpoint 
-const GET_USER_STATUS_PATH = '/exa.language_server_pb.LanguageServerService/GetUserStatus';
+const SERVICE_PATH = '/exa.language_server_pb.LanguageServerService';
+const GET_USER_STATUS_PATH = `${SERVICE_PATH}/GetUserStatus`;
 
-// Thresholds for status colors
+// Thresholds for status colors (overridden per model by quotaThresholds)
 const THRESHOLDS = {
     WARNING: 30,
     CRITICAL: 10
@@ -40,51 +45,20 @@ async function findLanguageServer() {
     }
 
     try {
-        // PowerShell command to find language_server process with csrf_token
-        const command = `powershell -NoProfile -Command "[Console]::OutputEncoding = [System.Text.Encoding]::UTF8; Get-CimInstance Win32_Process | Where-Object { $_.CommandLine -match 'csrf_token' } | Select-Object ProcessId,Name,CommandLine | ConvertTo-Json"`;
+        const processes = await listCandidateProcesses();
 
-        const { stdout } = await execAsync(command, { timeout: 15000, maxBuffer: 1024 * 1024 });
-
-        if (!stdout || stdout.trim().length === 0) {
+        if (!processes || processes.length === 0) {
             console.log('[QuotaService] No language_server process found');
             return null;
         }
 
-        // Parse JSON output
-        let processes;
-        try {
-            const trimmed = stdout.trim();
-            const jsonStart = trimmed.indexOf('[') >= 0 ? trimmed.indexOf('[') : trimmed.indexOf('{');
-            const jsonStr = trimmed.substring(jsonStart);
-            processes = JSON.parse(jsonStr);
-            if (!Array.isArray(processes)) {
-                processes = [processes];
-            }
-        } catch (e) {
-            console.log('[QuotaService] Failed to parse process list:', e.message);
-            return null;
-        }
-
-        // Find Antigravity process (has --app_data_dir antigravity)
         for (const proc of processes) {
-            const cmdLine = proc.CommandLine || '';
-
-            // Check if this is the Antigravity language server
-            if (!cmdLine.includes('--extension_server_port') || !cmdLine.includes('--csrf_token')) {
-                continue;
-            }
-            if (!/--app_data_dir\s+antigravity\b/i.test(cmdLine)) {
-                continue;
-            }
-
-            // Extract CSRF token
-            const tokenMatch = cmdLine.match(/--csrf_token[=\s]+([a-f0-9-]+)/i);
-            if (!tokenMatch) {
+            const token = parseLanguageServerCommandLine(proc.commandLine);
+            if (!token) {
                 continue;
             }
 
-            const token = tokenMatch[1];
-            const pid = proc.ProcessId;
+            const pid = proc.pid;
 
             // Find listening ports for this process
             const ports = await getProcessListeningPorts(pid);
@@ -112,29 +86,231 @@ async function findLanguageServer() {
     }
 }
 
+/**
+ * CSRF token from an Antigravity language server command line, or null
+ * if the command line belongs to some other process
+ */
+export function parseLanguageServerCommandLine(cmdLine) {
+    const line = cmdLine || '';
+
+    // Check if this is the Antigravity language server
+    if (!line.includes('--extension_server_port') || !line.includes('--csrf_token')) {
+        return null;
+    }
+    if (!/--app_data_dir[=\s]+antigravity\b/i.test(line)) {
+        return null;
+    }
+
+    const tokenMatch = line.match(/--csrf_token[=\s]+([a-f0-9-]+)/i);
+    return tokenMatch ? tokenMatch[1] : null;
+}
+
+/**
+ * Processes whose command line mentions csrf_token
+ * Returns [{ pid, commandLine }]
+ */
+async function listCandidateProcesses() {
+    if (process.platform === 'win32') {
+        return listWindowsProcesses();
+    }
+    if (process.platform === 'linux') {
+        return listLinuxProcesses();
+    }
+    // macOS (and other Unixes with BSD-style ps)
+    return listPsProcesses();
+}
+
+async function listWindowsProcesses() {
+    // PowerShell command to find language_server process with csrf_token
+    const command = `powershell -NoProfile -Command "[Console]::OutputEncoding = [System.Text.Encoding]::UTF8; Get-CimInstance Win32_Process | Where-Object { $_.CommandLine -match 'csrf_token' } | Select-Object ProcessId,Name,CommandLine | ConvertTo-Json"`;
+
+    const { stdout } = await execAsync(command, { timeout: 15000, maxBuffer: 1024 * 1024 });
+    return parseWindowsProcessList(stdout);
+}
+
+/**
+ * Parse `Get-CimInstance Win32_Process | ConvertTo-Json` output
+ * (a single process comes back as an object, not an array)
+ */
+export function parseWindowsProcessList(stdout) {
+    const trimmed = (stdout || '').trim();
+    if (!trimmed) {
+        return [];
+    }
+
+    let processes;
+    try {
+        const jsonStart = trimmed.indexOf('[') >= 0 ? trimmed.indexOf('[') : trimmed.indexOf('{');
+        processes = JSON.parse(trimmed.substring(jsonStart));
+        if (!Array.isArray(processes)) {
+            processes = [processes];
+        }
+    } catch (e) {
+        console.log('[QuotaService] Failed to parse process list:', e.message);
+        return [];
+    }
+
+    return processes.map(proc => ({ pid: proc.ProcessId, commandLine: proc.CommandLine || '' }));
+}
+
+function listLinuxProcesses() {
+    const processes = [];
+    for (const entry of readdirSync('/proc')) {
+        if (!/^\d+$/.test(entry)) {
+            continue;
+        }
+        try {
+            const commandLine = parseProcCmdline(readFileSync(`/proc/${entry}/cmdline`));
+            if (commandLine.includes('csrf_token')) {
+                processes.push({ pid: parseInt(entry, 10), commandLine });
+            }
+        } catch (e) {
+            // Process exited while we were looking
+        }
+    }
+    return processes;
+}
+
+/**
+ * /proc/<pid>/cmdline is NUL-separated arguments
+ */
+export function parseProcCmdline(raw) {
+    return String(raw || '').split('\0').filter(Boolean).join(' ');
+}
+
+async function listPsProcesses() {
+    const { stdout } = await execAsync('ps -axww -o pid= -o command=', { timeout: 15000, maxBuffer: 8 * 1024 * 1024 });
+    return parsePsOutput(stdout).filter(proc => proc.commandLine.includes('csrf_token'));
+}
+
+/**
+ * Parse `ps -o pid= -o command=` output: "  1234 /path/to/binary --flag value"
+ */
+export function parsePsOutput(stdout) {
+    const processes = [];
+    for (const line of (stdout || '').split('\n')) {
+        const match = line.match(/^\s*(\d+)\s+(.+?)\s*$/);
+        if (match) {
+            processes.push({ pid: parseInt(match[1], 10), commandLine: match[2] });
+        }
+    }
+    return processes;
+}
+
 /**
  * Get listening ports for a process
  */
 async function getProcessListeningPorts(pid) {
     try {
-        const command = `powershell -NoProfile -NonInteractive -Command "$ports = Get-NetTCPConnection -State Listen -OwningProcess ${pid} -ErrorAction SilentlyContinue | Select-Object -ExpandProperty LocalPort; if ($ports) { $ports | Sort-Object -Unique }"`;
-        const { stdout } = await execAsync(command, { timeout: 5000 });
-
-        const ports = [];
-        const matches = stdout.match(/\b\d{1,5}\b/g) || [];
-        for (const m of matches) {
-            const p = parseInt(m, 10);
-            if (p > 0 && p <= 65535) {
-                ports.push(p);
-            }
+        let ports;
+        if (process.platform === 'win32') {
+            ports = await getWindowsListeningPorts(pid);
+        } else if (process.platform === 'linux') {
+            ports = getLinuxListeningPorts(pid);
+        } else {
+            ports = await getLsofListeningPorts(pid);
         }
-        return ports.sort((a, b) => b - a); // Try higher ports first (more likely to be API)
+
+        const valid = ports.filter(p => Number.isInteger(p) && p > 0 && p <= 65535);
+        return [...new Set(valid)].sort((a, b) => b - a); // Try higher ports first (more likely to be API)
     } catch (e) {
         console.log('[QuotaService] Failed to get listening ports:', e.message);
         return [];
     }
 }
 
+async function getWindowsListeningPorts(pid) {
+    const command = `powershell -NoProfile -NonInteractive -Command "$ports = Get-NetTCPConnection -State Listen -OwningProcess ${pid} -ErrorAction SilentlyContinue | Select-Object -ExpandProperty LocalPort; if ($ports) { $ports | Sort-Object -Unique }"`;
+    const { stdout } = await execAsync(command, { timeout: 5000 });
+    return parseWindowsPorts(stdout);
+}
+
+/**
+ * Parse the LocalPort list printed by Get-NetTCPConnection, one per line
+ */
+export function parseWindowsPorts(stdout) {
+    return ((stdout || '').match(/\b\d{1,5}\b/g) || []).map(m => parseInt(m, 10));
+}
+
+/**
+ * Match the process's socket inodes (/proc/<pid>/fd -> socket:[inode])
+ * against listening sockets in /proc/net/tcp and tcp6
+ */
+function getLinuxListeningPorts(pid) {
+    const inodes = new Set();
+    for (const fd of readdirSync(`/proc/${pid}/fd`)) {
+        try {
+            const match = readlinkSync(`/proc/${pid}/fd/${fd}`).match(/^socket:\[(\d+)\]$/);
+            if (match) {
+                inodes.add(match[1]);
+            }
+        } catch (e) {
+            // fd closed in the meantime
+        }
+    }
+
+    const ports = [];
+    for (const table of ['/proc/net/tcp', '/proc/net/tcp6']) {
+        let text;
+        try {
+            text = readFileSync(table, 'utf-8');
+        } catch (e) {
+            continue; // No IPv6 on this machine
+        }
+        for (const socket of parseProcNetTcp(text)) {
+            if (inodes.has(socket.inode)) {
+                ports.push(socket.port);
+            }
+        }
+    }
+    return ports;
+}
+
+/**
+ * Listening sockets from /proc/net/tcp or /proc/net/tcp6
+ * Columns: sl local_address rem_address st ... uid timeout inode
+ * local_address is hex "ADDR:PORT"; state 0A is LISTEN
+ * Returns [{ port, inode }]
+ */
+export function parseProcNetTcp(text) {
+    const sockets = [];
+    for (const line of (text || '').split('\n').slice(1)) {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 10 || fields[3] !== '0A') {
+            continue;
+        }
+        const port = parseInt(fields[1].split(':').pop(), 16);
+        if (port > 0) {
+            sockets.push({ port, inode: fields[9] });
+        }
+    }
+    return sockets;
+}
+
+async function getLsofListeningPorts(pid) {
+    try {
+        const { stdout } = await execAsync(`lsof -nP -a -p ${pid} -iTCP -sTCP:LISTEN -Fn`, { timeout: 5000 });
+        return parseLsofOutput(stdout);
+    } catch (e) {
+        // lsof exits 1 when the process has no matching sockets
+        return parseLsofOutput(e.stdout);
+    }
+}
+
+/**
+ * Parse `lsof -Fn` field output: "n127.0.0.1:53012", "n*:53013", "n[::1]:53014"
+ */
+export function parseLsofOutput(stdout) {
+    const ports = [];
+    for (const line of (stdout || '').split('\n')) {
+        const match = line.match(/^n.*:(\d+)\s*$/);
+        if (match) {
+            ports.push(parseInt(match[1], 10));
+        }
+    }
+    return ports;
+}
+
 /**
  * Test if a port responds to the API
  */
@@ -204,7 +380,10 @@ function apiRequest(port, token, path, body) {
             res.on('data', chunk => responseData += chunk);
             res.on('end', () => {
                 if (res.statusCode !== 200) {
-                    reject(new Error(`HTTP ${res.statusCode}: ${responseData.substring(0, 200)}`));
+                    const error = new Error(`HTTP ${res.statusCode}: ${responseData.substring(0, 200)}`);
+                    error.statusCode = res.statusCode;
+                    error.body = responseData;
+                    reject(error);
                     return;
                 }
                 try {
@@ -226,13 +405,26 @@ function apiRequest(port, token, path, body) {
     });
 }
 
+/**
+ * Warning and danger percentages for a model: its own entry in the
+ * quotaThresholds setting (by id or name), else "*", else the built-in ones
+ */
+export function getThresholds(modelId, name) {
+    const custom = config.quotaThresholds;
+    const keys = Object.keys(custom);
+    const match = [modelId, name, '*'].filter(Boolean)
+        .map(wanted => keys.find(key => key.toLowerCase() === String(wanted).toLowerCase()))
+        .find(Boolean);
+    return match ? custom[match] : { warning: THRESHOLDS.WARNING, danger: THRESHOLDS.CRITICAL };
+}
+
 /**
  * Determine status based on remaining percentage
  */
-function getStatus(remainingPercent) {
+function getStatus(remainingPercent, thresholds) {
     if (remainingPercent <= 0) return 'exhausted';
-    if (remainingPercent <= THRESHOLDS.CRITICAL) return 'danger';
-    if (remainingPercent <= THRESHOLDS.WARNING) return 'warning';
+    if (remainingPercent <= thresholds.danger) return 'danger';
+    if (remainingPercent <= thresholds.warning) return 'warning';
     return 'healthy';
 }
 
@@ -258,21 +450,11 @@ function formatResetTime(resetAtMs) {
 }
 
 /**
- * Model name mapping
+ * Readable name for a model ID without a label (MODEL_CLAUDE_4_5_SONNET -> CLAUDE 4 5 SONNET)
+ * Labels come from the language server; see ModelCatalog
  */
-const MODEL_NAMES = {
-    'MODEL_PLACEHOLDER_M12': 'Claude Opus 4.5',
-    'MODEL_CLAUDE_4_5_SONNET': 'Claude Sonnet 4.5',
-    'MODEL_CLAUDE_4_5_SONNET_THINKING': 'Claude Sonnet 4.5 Thinking',
-    'MODEL_PLACEHOLDER_M18': 'Gemini 3 Flash',
-    'MODEL_PLACEHOLDER_M7': 'Gemini 3 Pro High',
-    'MODEL_PLACEHOLDER_M8': 'Gemini 3 Pro Low',
-    'MODEL_PLACEHOLDER_M9': 'Gemini 3 Pro Image',
-    'MODEL_OPENAI_GPT_OSS_120B_MEDIUM': 'GPT-OSS 120B'
-};
-
 function getDisplayName(modelId) {
-    return MODEL_NAMES[modelId] || modelId?.replace('MODEL_', '').replace(/_/g, ' ') || 'Unknown';
+    return modelId?.replace('MODEL_', '').replace(/_/g, ' ') || 'Unknown';
 }
 
 /**
@@ -284,15 +466,15 @@ function parseQuotaResponse(response) {
     // The quota data is in userStatus.cascadeModelConfigData.clientModelConfigs
     const clientConfigs = response?.userStatus?.cascadeModelConfigData?.clientModelConfigs || [];
 
-    for (const config of clientConfigs) {
-        const quotaInfo = config.quotaInfo || {};
+    for (const clientConfig of clientConfigs) {
+        const quotaInfo = clientConfig.quotaInfo || {};
         // remainingFraction is 0-1, convert to percentage
         const remainingFraction = quotaInfo.remainingFraction ?? 1;
         const remainingPercent = Math.round(remainingFraction * 100);
 
         // Get model identifier
-        const modelId = config.modelOrAlias?.model || config.modelOrAlias || 'unknown';
-        const label = config.label || getDisplayName(modelId);
+        const modelId = clientConfig.modelOrAlias?.model || clientConfig.modelOrAlias || 'unknown';
+        const label = clientConfig.label || getDisplayName(modelId);
 
         // Parse reset time
         const resetAt = quotaInfo.resetAt ? new Date(quotaInfo.resetAt).getTime() : null;
@@ -305,7 +487,7 @@ function parseQuotaResponse(response) {
             remainingPercent,
             resetAt,
             resetIn: formatResetTime(resetAt),
-            status: getStatus(remainingPercent)
+            status: getStatus(remainingPercent, getThresholds(modelId, label))
         });
     }
 
@@ -372,6 +554,27 @@ export async function getQuota() {
     }
 }
 
+/**
+ * Call a LanguageServerService method (Connect-JSON) on the running language server
+ * Throws if the language server can't be found or the call fails
+ */
+export async function callLanguageServer(method, body = {}) {
+    const connection = await findLanguageServer();
+    if (!connection) {
+        throw new Error('Antigravity language server not found. Make sure Antigravity is running.');
+    }
+
+    try {
+        return await apiRequest(connection.port, connection.token, `${SERVICE_PATH}/${method}`, body);
+    } catch (e) {
+        // No HTTP status means we couldn't talk to it at all - it may have restarted elsewhere
+        if (!e.statusCode) {
+            cachedConnection = null;
+        }
+        throw e;
+    }
+}
+
 /**
  * Clear the cache
  */
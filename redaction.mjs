@@ -0,0 +1,314 @@
+/**
+ * Redaction - Masks secrets before they leave the server
+ *
+ * Applied to the live chat (HTML and parsed messages), file contents,
+ * stored messages and log lines. Detects:
+ * - common key formats (AWS, GitHub, OpenAI/Anthropic, Google, Slack,
+ *   Stripe, JWTs, private key blocks, passwords in URLs, Bearer tokens,
+ *   `password = ...` style assignments)
+ * - long high-entropy strings
+ * - extra regexes from data/redact-patterns.txt (one per line, # comments)
+ *
+ * A secret is replaced by `[REDACTED:<kind>:<id>]`. The id is an HMAC of
+ * the value, so the same secret always gets the same mask (keeping chat
+ * diffs stable), and the value is remembered in memory so it can be
+ * revealed after re-entering the PIN or restored when a file is saved.
+ *
+ * Values are remembered per source - the live chat, a file, a stored
+ * message - and each redaction of a source replaces what it had, so a
+ * mask stays known for as long as its content is around rather than
+ * until enough other secrets go by. Text without a source (log lines,
+ * audit entries) shares a bounded pool.
+ * Turn it off with the redactSecrets setting (REDACT_SECRETS=0).
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, existsSync } from 'fs';
+import { createHmac, randomBytes } from 'crypto';
+import { config } from './config.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PATTERNS_FILE = join(__dirname, 'data', 'redact-patterns.txt');
+
+const ENABLED = config.redactSecrets;
+const MAX_SOURCES = 2000;
+const MAX_UNSOURCED = 2000;
+
+// Masks as they appear in text; used to find them again on save
+const MASK_PATTERN = /\[REDACTED:([a-z0-9-]+):([0-9a-f]{12})\]/g;
+
+// `group` is the capture group holding the secret (default: whole match)
+const DETECTORS = [
+    { kind: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+    { kind: 'aws-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { kind: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+    { kind: 'api-key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+    { kind: 'google-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { kind: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { kind: 'stripe-key', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+    { kind: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    { kind: 'url-password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@/gi, group: 1 },
+    { kind: 'bearer-token', pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/g, group: 1 },
+    {
+        kind: 'secret',
+        pattern: /\b(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|access[_-]?key|client[_-]?secret)["']?\s*[:=]\s*["']?([^\s"'<>,;]{8,})/gi,
+        group: 1,
+        // `password = process.env.DB_PASSWORD`, `token = getToken()` are code, not secrets
+        skip: value => value.includes('(') || /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+$/.test(value)
+    }
+];
+
+// Long random-looking strings: mixed case, some digits, high Shannon
+// entropy and few word-like runs (so camelCase identifiers are left alone)
+const ENTROPY_CANDIDATE = /[A-Za-z0-9_+-]{24,}={0,2}/g;
+const MIN_ENTROPY = 3.8;
+const WORD = /[A-Z]?[a-z]{4,}/g;
+
+// Attributes that show up as text (tooltips, links, form values)
+const VISIBLE_ATTRIBUTE = /(\s(?:title|alt|href|value|placeholder|aria-label)=)"([^"]*)"/gi;
+
+const hmacKey = randomBytes(32);
+const sources = new Map(); // source -> Map(id -> { value, kind }), least recently redacted first
+const unsourced = new Map(); // id -> { value, kind }
+let customDetectors = null;
+
+function loadCustomDetectors() {
+    customDetectors = [];
+    if (!existsSync(PATTERNS_FILE)) return customDetectors;
+    for (const line of readFileSync(PATTERNS_FILE, 'utf-8').split(/\r?\n/)) {
+        const source = line.trim();
+        if (!source || source.startsWith('#')) continue;
+        try {
+            customDetectors.push({ kind: 'custom', pattern: new RegExp(source, 'g') });
+        } catch (e) {
+            console.log(`⚠️ Ignoring invalid redaction pattern "${source}": ${e.message}`);
+        }
+    }
+    if (customDetectors.length) console.log(`🙈 Loaded ${customDetectors.length} custom redaction pattern(s)`);
+    return customDetectors;
+}
+
+function entropy(text) {
+    const counts = {};
+    for (const c of text) counts[c] = (counts[c] || 0) + 1;
+    let bits = 0;
+    for (const n of Object.values(counts)) {
+        const p = n / text.length;
+        bits -= p * Math.log2(p);
+    }
+    return bits;
+}
+
+function looksRandom(text) {
+    const digits = (text.match(/[0-9]/g) || []).length;
+    const words = (text.match(WORD) || []).length;
+    return /[a-z]/.test(text) && /[A-Z]/.test(text) && digits >= 2 &&
+        words <= Math.floor(text.length / 24) && entropy(text) >= MIN_ENTROPY;
+}
+
+function maskId(value) {
+    return createHmac('sha256', hmacKey).update(value).digest('hex').slice(0, 12);
+}
+
+// Remember the secrets found in one redaction: a source's set is replaced
+// as a whole, unsourced ones are added to the pool
+function keep(source, found) {
+    if (source) {
+        sources.delete(source);
+        if (found.size) sources.set(source, found);
+        if (sources.size > MAX_SOURCES) sources.delete(sources.keys().next().value);
+        return;
+    }
+    for (const [id, secret] of found) {
+        if (unsourced.has(id)) continue;
+        if (unsourced.size >= MAX_UNSOURCED) unsourced.delete(unsourced.keys().next().value);
+        unsourced.set(id, secret);
+    }
+}
+
+function lookup(id) {
+    for (const found of [...sources.values()].reverse()) {
+        if (found.has(id)) return found.get(id);
+    }
+    return unsourced.get(id) || null;
+}
+
+/**
+ * Find secrets in text
+ * Returns non-overlapping [{ start, end, kind }] sorted by position
+ */
+function findSecrets(text) {
+    const found = [];
+    const detectors = [...DETECTORS, ...(customDetectors || loadCustomDetectors())];
+
+    for (const { kind, pattern, group, skip } of detectors) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            const value = group ? match[group] : match[0];
+            // Don't mask a mask
+            if (!value || value.startsWith('[REDACTED:') || skip?.(value)) continue;
+            const start = match.index + (group ? match[0].indexOf(value) : 0);
+            found.push({ start, end: start + value.length, kind });
+        }
+    }
+
+    // Keep the first (longest on ties) of any overlapping matches
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+    const result = [];
+    for (const f of found) {
+        const last = result[result.length - 1];
+        if (last && f.start < last.end) continue;
+        result.push(f);
+    }
+
+    // Known formats win; entropy only looks at what they didn't cover
+    ENTROPY_CANDIDATE.lastIndex = 0;
+    let match;
+    while ((match = ENTROPY_CANDIDATE.exec(text))) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (result.some(r => start < r.end && r.start < end)) continue;
+        if (looksRandom(match[0])) result.push({ start, end, kind: 'high-entropy' });
+    }
+    return result.sort((a, b) => a.start - b.start);
+}
+
+function maskText(text, wrap, found) {
+    const secrets = findSecrets(text);
+    if (secrets.length === 0) return text;
+
+    let out = '';
+    let pos = 0;
+    for (const { start, end, kind } of secrets) {
+        const value = text.slice(start, end);
+        const id = maskId(value);
+        found.set(id, { value, kind });
+        out += text.slice(pos, start) + wrap(`[REDACTED:${kind}:${id}]`, id, kind);
+        pos = end;
+    }
+    return out + text.slice(pos);
+}
+
+function maskHtml(html, found) {
+    if (typeof html !== 'string' || !html) return html;
+    return html.split(/(<[^>]*>)/).map((part, i) => {
+        // Odd parts are tags: only readable attributes, as plain masks
+        if (i % 2 === 1) {
+            return part.replace(VISIBLE_ATTRIBUTE, (attr, name, value) =>
+                `${name}"${maskText(value, mask => mask, found)}"`);
+        }
+        return maskText(part, (mask, id, kind) =>
+            `<span class="ag-redacted" data-redacted="${id}" title="Hidden ${kind} - tap to reveal">${mask}</span>`, found);
+    }).join('');
+}
+
+function maskValue(value, html, found) {
+    if (typeof value === 'string') return html ? maskHtml(value, found) : maskText(value, mask => mask, found);
+    if (Array.isArray(value)) return value.map(v => maskValue(v, html, found));
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [key, v] of Object.entries(value)) out[key] = maskValue(v, html, found);
+        return out;
+    }
+    return value;
+}
+
+/**
+ * Mask secrets in plain text
+ * `source` names what the text is the whole of (e.g. "file:src/app.js")
+ */
+export function redactText(text, { source } = {}) {
+    if (!ENABLED || typeof text !== 'string' || !text) return text;
+    const found = new Map();
+    const out = maskText(text, mask => mask, found);
+    keep(source, found);
+    return out;
+}
+
+/**
+ * Mask secrets in an HTML fragment. Text masks become
+ * <span class="ag-redacted"> the UI can reveal; readable attributes get
+ * plain masks and markup is otherwise left alone.
+ */
+export function redactHtml(html, { source } = {}) {
+    if (!ENABLED || typeof html !== 'string' || !html) return html;
+    const found = new Map();
+    const out = maskHtml(html, found);
+    keep(source, found);
+    return out;
+}
+
+/**
+ * Mask a captured chat ({ html, shell, blocks, ... }); styles are untouched.
+ * Each capture is the whole conversation, so it replaces the last one's
+ * secrets.
+ */
+export function redactChat(chat) {
+    if (!ENABLED || !chat) return chat;
+    const found = new Map();
+    const out = {
+        ...chat,
+        html: maskHtml(chat.html, found),
+        shell: maskHtml(chat.shell, found),
+        blocks: chat.blocks?.map(block => ({ ...block, html: maskHtml(block.html, found) }))
+    };
+    keep('chat', found);
+    return out;
+}
+
+/**
+ * Mask every string in a JSON-like value (parsed messages, API results)
+ */
+export function redactValue(value, { html = false, source } = {}) {
+    if (!ENABLED) return value;
+    const found = new Map();
+    const out = maskValue(value, html, found);
+    keep(source, found);
+    return out;
+}
+
+/**
+ * Put the original values back in place of masks (saving an edited file)
+ * Options: { source, original } - the file's source name and its current
+ * text on disk. Only that file's own secrets are restored: a mask pasted
+ * from another file or the chat would otherwise write its secret to disk
+ * without the PIN a reveal needs.
+ * Returns { text, missing } - `missing` counts masks that aren't the file's
+ */
+export function restore(text, { source, original } = {}) {
+    const inOriginal = new Map();
+    if (typeof original === 'string') {
+        for (const { start, end } of findSecrets(original)) {
+            const value = original.slice(start, end);
+            inOriginal.set(maskId(value), { value });
+        }
+    }
+
+    let missing = 0;
+    const restored = String(text).replace(MASK_PATTERN, (mask, kind, id) => {
+        const secret = inOriginal.get(id) || (source && sources.get(source)?.get(id));
+        if (!secret) {
+            missing++;
+            return mask;
+        }
+        return secret.value;
+    });
+    return { text: restored, missing };
+}
+
+/**
+ * Original value behind a mask id, or null
+ */
+export function reveal(id) {
+    return lookup(id);
+}
+
+export function isEnabled() {
+    return ENABLED;
+}
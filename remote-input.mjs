@@ -0,0 +1,271 @@
+/**
+ * Remote Input - Touch, mouse and keyboard control of the mirrored screen
+ *
+ * Gestures arrive with coordinates relative to the screenshot/screencast
+ * image and are scaled to page CSS pixels with Page.getLayoutMetrics:
+ * - x/y in 0..1, or in image pixels together with the image width/height
+ * - tap, doubleTap, longPress (right-click, or a held touch), drag, scroll
+ * - key chords like "Ctrl+S", "Escape", "Shift+ArrowDown", and plain text
+ */
+
+import * as Session from './cdp-session.mjs';
+import { getPageMetrics } from './cdp-client.mjs';
+
+const METRICS_TTL = 1000;
+const LONG_PRESS_MS = 600;
+const DRAG_STEPS = 10;
+
+// CDP modifier bits
+const MODIFIERS = { alt: 1, ctrl: 2, control: 2, meta: 4, cmd: 4, command: 4, win: 4, shift: 8 };
+
+// Special keys: key -> [code, windowsVirtualKeyCode, text]
+const KEYS = {
+    Enter: ['Enter', 13, '\r'],
+    Escape: ['Escape', 27],
+    Tab: ['Tab', 9],
+    Backspace: ['Backspace', 8],
+    Delete: ['Delete', 46],
+    Insert: ['Insert', 45],
+    ' ': ['Space', 32, ' '],
+    ArrowUp: ['ArrowUp', 38],
+    ArrowDown: ['ArrowDown', 40],
+    ArrowLeft: ['ArrowLeft', 37],
+    ArrowRight: ['ArrowRight', 39],
+    Home: ['Home', 36],
+    End: ['End', 35],
+    PageUp: ['PageUp', 33],
+    PageDown: ['PageDown', 34]
+};
+for (let i = 1; i <= 12; i++) KEYS[`F${i}`] = [`F${i}`, 111 + i];
+
+const KEY_ALIASES = {
+    esc: 'Escape', escape: 'Escape', enter: 'Enter', return: 'Enter', tab: 'Tab',
+    backspace: 'Backspace', del: 'Delete', delete: 'Delete', ins: 'Insert', insert: 'Insert',
+    space: ' ', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+    arrowup: 'ArrowUp', arrowdown: 'ArrowDown', arrowleft: 'ArrowLeft', arrowright: 'ArrowRight',
+    home: 'Home', end: 'End', pageup: 'PageUp', pagedown: 'PageDown', pgup: 'PageUp', pgdn: 'PageDown'
+};
+
+let cachedMetrics = null;
+let cachedAt = 0;
+
+async function getViewport() {
+    if (!cachedMetrics || Date.now() - cachedAt > METRICS_TTL) {
+        const metrics = await getPageMetrics();
+        const viewport = metrics.cssVisualViewport || metrics.visualViewport || metrics.cssLayoutViewport;
+        cachedMetrics = { width: viewport.clientWidth, height: viewport.clientHeight };
+        cachedAt = Date.now();
+    }
+    return cachedMetrics;
+}
+
+/**
+ * Map a point from image space to page CSS pixels
+ */
+async function toPage(point, event) {
+    const viewport = await getViewport();
+    const x = Number(point?.x);
+    const y = Number(point?.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error('x and y are required');
+
+    // Image pixels when the image size is given, otherwise fractions
+    const scaleX = event.width ? viewport.width / event.width : viewport.width;
+    const scaleY = event.height ? viewport.height / event.height : viewport.height;
+
+    return {
+        x: Math.round(Math.min(viewport.width - 1, Math.max(0, x * scaleX))),
+        y: Math.round(Math.min(viewport.height - 1, Math.max(0, y * scaleY))),
+        scaleX,
+        scaleY
+    };
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function mouse(type, { x, y }, extra = {}) {
+    return Session.send('Input.dispatchMouseEvent', { type, x, y, ...extra });
+}
+
+function touch(type, points) {
+    return Session.send('Input.dispatchTouchEvent', {
+        type,
+        touchPoints: points.map(({ x, y }) => ({ x, y }))
+    });
+}
+
+async function click(point, { button = 'left', clickCount = 1, modifiers = 0 } = {}) {
+    await mouse('mouseMoved', point, { modifiers });
+    for (let i = 1; i <= clickCount; i++) {
+        await mouse('mousePressed', point, { button, clickCount: i, modifiers });
+        await mouse('mouseReleased', point, { button, clickCount: i, modifiers });
+    }
+}
+
+/**
+ * Parse a chord like "Ctrl+Shift+P" into a key and modifier bits
+ */
+export function parseChord(chord) {
+    const parts = String(chord).split('+').map(p => p.trim());
+    // "Ctrl++" means the plus key
+    if (parts[parts.length - 1] === '' && parts.length > 1) {
+        parts.splice(-2, 2, '+');
+    }
+
+    let modifiers = 0;
+    for (const part of parts.slice(0, -1)) {
+        const bit = MODIFIERS[part.toLowerCase()];
+        if (!bit) throw new Error(`Unknown modifier: ${part}`);
+        modifiers |= bit;
+    }
+
+    const name = parts[parts.length - 1];
+    if (!name) throw new Error('No key given');
+    const key = KEYS[name] ? name : (KEY_ALIASES[name.toLowerCase()] || name);
+    if (key.length > 1 && !KEYS[key]) throw new Error(`Unknown key: ${name}`);
+
+    return { key, modifiers };
+}
+
+function keyDefinition(key, modifiers) {
+    if (KEYS[key]) {
+        const [code, keyCode, text] = KEYS[key];
+        return { key, code, keyCode, text };
+    }
+
+    // Single character
+    const upper = key.toUpperCase();
+    let code = '';
+    let keyCode = upper.charCodeAt(0);
+    if (/^[A-Z]$/.test(upper)) {
+        code = `Key${upper}`;
+    } else if (/^[0-9]$/.test(key)) {
+        code = `Digit${key}`;
+    }
+    // Letters are sent lowercase unless Shift is held ("Ctrl+S" is Ctrl + s)
+    const base = code.startsWith('Key') ? key.toLowerCase() : key;
+    const shifted = modifiers & MODIFIERS.shift;
+    return { key: shifted ? upper : base, code, keyCode, text: shifted ? upper : base };
+}
+
+async function pressKey(chord) {
+    const { key, modifiers } = parseChord(chord);
+    const def = keyDefinition(key, modifiers);
+
+    // With Ctrl/Alt/Meta held the key is a shortcut, not text
+    const text = modifiers & (MODIFIERS.ctrl | MODIFIERS.alt | MODIFIERS.meta) ? undefined : def.text;
+
+    const params = {
+        key: def.key,
+        code: def.code,
+        windowsVirtualKeyCode: def.keyCode,
+        nativeVirtualKeyCode: def.keyCode,
+        modifiers
+    };
+    await Session.send('Input.dispatchKeyEvent', { type: text ? 'keyDown' : 'rawKeyDown', text, ...params });
+    await Session.send('Input.dispatchKeyEvent', { type: 'keyUp', ...params });
+}
+
+/**
+ * Dispatch one input event
+ *
+ * { type: 'tap', x, y, button?, width?, height? }
+ * { type: 'doubleTap', x, y }
+ * { type: 'longPress', x, y, duration?, pointer?: 'mouse' | 'touch' }
+ * { type: 'drag', from: {x, y}, to: {x, y}, duration?, pointer? }
+ * { type: 'scroll', x, y, deltaX, deltaY }
+ * { type: 'key', key: 'Ctrl+S' }  or  { type: 'key', keys: ['Escape', 'Enter'] }
+ * { type: 'text', text }
+ */
+export async function dispatch(event = {}) {
+    switch (event.type) {
+        case 'tap': {
+            const point = await toPage(event, event);
+            if (event.pointer === 'touch') {
+                await touch('touchStart', [point]);
+                await touch('touchEnd', []);
+            } else {
+                await click(point, { button: event.button || 'left' });
+            }
+            return { success: true, type: event.type, x: point.x, y: point.y };
+        }
+
+        case 'doubleTap': {
+            const point = await toPage(event, event);
+            await click(point, { clickCount: 2 });
+            return { success: true, type: event.type, x: point.x, y: point.y };
+        }
+
+        case 'longPress': {
+            const point = await toPage(event, event);
+            const duration = Math.min(Number(event.duration) || LONG_PRESS_MS, 5000);
+            if (event.pointer === 'touch') {
+                await touch('touchStart', [point]);
+                await sleep(duration);
+                await touch('touchEnd', []);
+            } else {
+                // On a desktop IDE a long-press means the context menu
+                await click(point, { button: 'right' });
+            }
+            return { success: true, type: event.type, x: point.x, y: point.y };
+        }
+
+        case 'drag': {
+            const from = await toPage(event.from, event);
+            const to = await toPage(event.to, event);
+            const duration = Math.min(Number(event.duration) || 300, 5000);
+            const stepDelay = duration / DRAG_STEPS;
+
+            const at = (i) => ({
+                x: Math.round(from.x + (to.x - from.x) * i / DRAG_STEPS),
+                y: Math.round(from.y + (to.y - from.y) * i / DRAG_STEPS)
+            });
+
+            if (event.pointer === 'touch') {
+                await touch('touchStart', [from]);
+                for (let i = 1; i <= DRAG_STEPS; i++) {
+                    await sleep(stepDelay);
+                    await touch('touchMove', [at(i)]);
+                }
+                await touch('touchEnd', []);
+            } else {
+                await mouse('mouseMoved', from);
+                await mouse('mousePressed', from, { button: 'left', clickCount: 1 });
+                for (let i = 1; i <= DRAG_STEPS; i++) {
+                    await sleep(stepDelay);
+                    await mouse('mouseMoved', at(i), { button: 'left', buttons: 1 });
+                }
+                await mouse('mouseReleased', to, { button: 'left', clickCount: 1 });
+            }
+            return { success: true, type: event.type, from: { x: from.x, y: from.y }, to: { x: to.x, y: to.y } };
+        }
+
+        case 'scroll': {
+            const point = await toPage(event, event);
+            // Deltas are in the same units as x/y
+            const deltaX = Math.round((Number(event.deltaX) || 0) * point.scaleX);
+            const deltaY = Math.round((Number(event.deltaY) || 0) * point.scaleY);
+            await mouse('mouseWheel', point, { deltaX, deltaY });
+            return { success: true, type: event.type, deltaX, deltaY };
+        }
+
+        case 'key': {
+            const keys = event.keys === undefined ? [event.key] : event.keys;
+            if (!Array.isArray(keys) || !keys.length || keys.some(k => !k || typeof k !== 'string')) {
+                throw new Error('key is required');
+            }
+            for (const chord of keys) {
+                await pressKey(chord);
+            }
+            return { success: true, type: event.type, keys };
+        }
+
+        case 'text': {
+            if (typeof event.text !== 'string') throw new Error('text is required');
+            await Session.send('Input.insertText', { text: event.text });
+            return { success: true, type: event.type, length: event.text.length };
+        }
+
+        default:
+            throw new Error(`Unknown input type: ${event.type}`);
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * Screencast - Live screen streaming via Page.startScreencast
+ *
+ * Pushes JPEG frames of the editor to subscribed WebSocket viewers:
+ * - One capture is shared by all viewers, using the highest quality and
+ *   width any of them asked for; frame-rate is limited per viewer
+ * - A viewer gets its next frame only after acking the previous one,
+ *   and only the newest frame is kept while it is busy (no backlog);
+ *   a viewer that stops acking holds up the capture for ACK_TIMEOUT at most
+ * - Capture stops when the last viewer leaves
+ */
+
+import { WebSocket } from 'ws';
+import * as Session from './cdp-session.mjs';
+
+const DEFAULTS = { fps: 10, quality: 60, maxWidth: 1280 };
+const LIMITS = {
+    fps: [1, 30],
+    quality: [10, 100],
+    maxWidth: [320, 3840]
+};
+
+// A viewer that never acks is treated as ready again after this long
+const ACK_TIMEOUT = 5000;
+
+// State
+const viewers = new Map(); // ws -> viewer
+let active = null;         // settings the running screencast was started with
+let unsubscribers = [];
+let heldAck = null;        // CDP frame ack held back while every viewer is busy
+let heldAckTimer = null;
+let frameCount = 0;
+
+function clamp(value, [min, max], fallback) {
+    const n = parseInt(value);
+    if (isNaN(n)) return fallback;
+    return Math.min(max, Math.max(min, n));
+}
+
+function normalizeOptions(options = {}, current = DEFAULTS) {
+    return {
+        fps: clamp(options.fps, LIMITS.fps, current.fps),
+        quality: clamp(options.quality, LIMITS.quality, current.quality),
+        maxWidth: clamp(options.maxWidth, LIMITS.maxWidth, current.maxWidth)
+    };
+}
+
+// Highest settings requested by any viewer
+function combinedSettings() {
+    let quality = LIMITS.quality[0];
+    let maxWidth = LIMITS.maxWidth[0];
+    for (const viewer of viewers.values()) {
+        quality = Math.max(quality, viewer.options.quality);
+        maxWidth = Math.max(maxWidth, viewer.options.maxWidth);
+    }
+    return { quality, maxWidth };
+}
+
+function isReady(viewer) {
+    if (viewer.ws.readyState !== WebSocket.OPEN) return false;
+    if (viewer.awaitingAck && Date.now() - viewer.lastSentAt < ACK_TIMEOUT) return false;
+    return true;
+}
+
+function sendFrame(viewer, frame) {
+    viewer.pending = null;
+    viewer.awaitingAck = true;
+    viewer.lastSentAt = Date.now();
+    viewer.ws.send(JSON.stringify({ event: 'screencast_frame', data: frame }));
+}
+
+// Send the viewer's newest frame once it is ready and its frame interval has passed
+function flush(viewer) {
+    if (!viewer.pending || viewer.timer) return;
+    if (!isReady(viewer)) return;
+
+    const wait = viewer.lastSentAt + 1000 / viewer.options.fps - Date.now();
+    if (wait > 0) {
+        viewer.timer = setTimeout(() => {
+            viewer.timer = null;
+            flush(viewer);
+        }, wait);
+        return;
+    }
+    sendFrame(viewer, viewer.pending);
+}
+
+// Chrome's ack is held while every viewer is busy, but never longer than
+// ACK_TIMEOUT - a viewer that stopped acking mustn't freeze the others
+function holdAck(sessionId) {
+    heldAck = sessionId;
+    clearTimeout(heldAckTimer);
+    heldAckTimer = setTimeout(releaseHeldAck, ACK_TIMEOUT);
+}
+
+function releaseHeldAck() {
+    clearTimeout(heldAckTimer);
+    heldAckTimer = null;
+    if (!heldAck) return;
+    const sessionId = heldAck;
+    heldAck = null;
+    Session.send('Page.screencastFrameAck', { sessionId }).catch(() => { });
+}
+
+function handleFrame({ data, metadata, sessionId }) {
+    frameCount++;
+    const frame = {
+        frameId: frameCount,
+        image: data,
+        metadata: {
+            width: metadata.deviceWidth,
+            height: metadata.deviceHeight,
+            pageScaleFactor: metadata.pageScaleFactor,
+            offsetTop: metadata.offsetTop,
+            timestamp: metadata.timestamp
+        }
+    };
+
+    let anyReady = false;
+    for (const viewer of viewers.values()) {
+        viewer.pending = frame;
+        if (isReady(viewer)) anyReady = true;
+        flush(viewer);
+    }
+
+    // Keep Chrome producing frames only while someone can take them
+    holdAck(sessionId);
+    if (anyReady) releaseHeldAck();
+}
+
+async function start(settings) {
+    await Session.send('Page.enable');
+    await Session.send('Page.startScreencast', {
+        format: 'jpeg',
+        quality: settings.quality,
+        maxWidth: settings.maxWidth,
+        maxHeight: settings.maxWidth * 2,
+        everyNthFrame: 1
+    });
+    active = settings;
+    console.log(`📺 Screencast started (q${settings.quality}, ${settings.maxWidth}px, ${viewers.size} viewer(s))`);
+}
+
+async function stop() {
+    active = null;
+    heldAck = null;
+    clearTimeout(heldAckTimer);
+    heldAckTimer = null;
+    unsubscribers.forEach(off => off());
+    unsubscribers = [];
+    try {
+        await Session.send('Page.stopScreencast');
+    } catch (e) { }
+    console.log('📺 Screencast stopped');
+}
+
+// Bring the capture in line with the current viewers
+async function applyViewers() {
+    if (viewers.size === 0) {
+        if (active || unsubscribers.length) await stop();
+        return;
+    }
+
+    if (unsubscribers.length === 0) {
+        unsubscribers.push(Session.on('Page.screencastFrame', handleFrame));
+        // Screencast dies with the CDP connection - resume after reconnect
+        unsubscribers.push(Session.on('connected', () => {
+            active = null;
+            reconcile().catch(e => console.error('Screencast restart failed:', e.message));
+        }));
+    }
+
+    const settings = combinedSettings();
+    if (active && active.quality === settings.quality && active.maxWidth === settings.maxWidth) return;
+
+    if (active) {
+        try {
+            await Session.send('Page.stopScreencast');
+        } catch (e) { }
+        active = null;
+    }
+    await start(settings);
+}
+
+// Viewer changes are applied one at a time; changes made while a pass is
+// running trigger another pass
+let reconciling = null;
+let reconcileAgain = false;
+
+function reconcile() {
+    if (reconciling) {
+        reconcileAgain = true;
+        return reconciling;
+    }
+    reconciling = (async () => {
+        do {
+            reconcileAgain = false;
+            await applyViewers();
+        } while (reconcileAgain);
+    })().finally(() => {
+        reconciling = null;
+    });
+    return reconciling;
+}
+
+/**
+ * Add a viewer (or update its settings if already watching)
+ * Options: { fps, quality, maxWidth }
+ */
+export async function addViewer(ws, options = {}) {
+    const existing = viewers.get(ws);
+    if (existing) {
+        existing.options = normalizeOptions(options, existing.options);
+    } else {
+        viewers.set(ws, {
+            ws,
+            options: normalizeOptions(options),
+            pending: null,
+            awaitingAck: false,
+            lastSentAt: 0,
+            timer: null
+        });
+    }
+
+    try {
+        await reconcile();
+    } catch (e) {
+        removeViewer(ws);
+        throw e;
+    }
+    return viewers.get(ws)?.options;
+}
+
+/**
+ * Remove a viewer; stops capture when it was the last one
+ */
+export function removeViewer(ws) {
+    const viewer = viewers.get(ws);
+    if (!viewer) return;
+
+    clearTimeout(viewer.timer);
+    viewers.delete(ws);
+    // It may have been the one everyone was waiting on
+    releaseHeldAck();
+
+    // Stops capture, or lowers it to what the remaining viewers need
+    reconcile().catch(() => { });
+}
+
+/**
+ * Viewer finished displaying a frame - send the newest one if any
+ */
+export function ack(ws) {
+    const viewer = viewers.get(ws);
+    if (!viewer) return;
+
+    viewer.awaitingAck = false;
+    releaseHeldAck();
+    flush(viewer);
+}
+
+/**
+ * Get screencast status
+ */
+export function getStatus() {
+    return {
+        active: !!active,
+        settings: active,
+        viewers: [...viewers.values()].map(v => v.options)
+    };
+}
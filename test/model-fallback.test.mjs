@@ -0,0 +1,116 @@
+/**
+ * Model fallback policy - switching down a fallback chain and back,
+ * with the IDE and the model catalog replaced by fakes
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+const dataModule = source => 'data:text/javascript,' + encodeURIComponent(source);
+
+// An IDE whose model picker just records the choice
+const FAKE_CDP = dataModule(`
+    export const ide = { model: null, selections: [] };
+    export async function getModelAndMode() {
+        return { model: ide.model, mode: 'Fast' };
+    }
+    export async function setModel(name) {
+        ide.model = name;
+        ide.selections.push(name);
+        return { success: true, selected: name };
+    }
+`);
+
+// A catalog that offers every model, matched by exact name
+const FAKE_CATALOG = dataModule(`
+    const normalize = name => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    export function findModel(models, name) {
+        return models.find(m => normalize(m.name) === normalize(name) || normalize(m.id) === normalize(name)) || null;
+    }
+    export async function resolve(name) {
+        return { id: name, name };
+    }
+`);
+
+// model-fallback.mjs gets the fakes; nothing else is redirected
+register(dataModule(`
+    export async function resolve(specifier, context, next) {
+        if (context.parentURL?.endsWith('/model-fallback.mjs')) {
+            if (specifier === './cdp-client.mjs') return { url: ${JSON.stringify(FAKE_CDP)}, shortCircuit: true };
+            if (specifier === './model-catalog.mjs') return { url: ${JSON.stringify(FAKE_CATALOG)}, shortCircuit: true };
+        }
+        return next(specifier, context);
+    }
+`));
+
+process.env.MODEL_FALLBACKS = 'Opus>Sonnet>Gemini';
+process.env.MODEL_FALLBACK_RESTORE = 'true';
+
+const ModelFallback = await import('../model-fallback.mjs');
+const { ide } = await import(FAKE_CDP);
+
+function quota(statuses, resetAt = Date.now() + 60 * 60 * 1000) {
+    return {
+        available: true,
+        models: Object.entries(statuses).map(([name, status]) => ({ id: name, name, status, resetAt }))
+    };
+}
+
+test('walks a two-deep fallback chain and restores the original after its reset', async () => {
+    ide.model = 'Opus';
+    ide.selections = [];
+
+    // Opus runs out - first fallback
+    assert.deepEqual(
+        await ModelFallback.check(quota({ Opus: 'exhausted', Sonnet: 'healthy', Gemini: 'healthy' })),
+        { from: 'Opus', to: 'Sonnet', reason: 'quota_exhausted' }
+    );
+    assert.deepEqual(ModelFallback.getState().from, 'Opus');
+
+    // Still fine on Sonnet - nothing to do
+    assert.equal(await ModelFallback.check(quota({ Opus: 'exhausted', Sonnet: 'warning', Gemini: 'healthy' })), null);
+
+    // Sonnet runs out too - next one down, still on behalf of Opus
+    assert.deepEqual(
+        await ModelFallback.check(quota({ Opus: 'exhausted', Sonnet: 'exhausted', Gemini: 'healthy' })),
+        { from: 'Sonnet', to: 'Gemini', reason: 'quota_exhausted' }
+    );
+    assert.equal(ide.model, 'Gemini');
+    assert.equal(ModelFallback.getState().from, 'Opus');
+
+    // Everything exhausted - stay put
+    assert.equal(await ModelFallback.check(quota({ Opus: 'exhausted', Sonnet: 'exhausted', Gemini: 'exhausted' })), null);
+    assert.equal(ide.model, 'Gemini');
+    assert.deepEqual(ide.selections, ['Sonnet', 'Gemini']);
+});
+
+test('restores the original once its quota has reset', async () => {
+    const { resetAt } = ModelFallback.getState();
+    assert.ok(resetAt > Date.now());
+
+    // Wind the clock past the reset instead of waiting an hour
+    const realNow = Date.now;
+    Date.now = () => resetAt + 1000;
+    try {
+        assert.deepEqual(
+            await ModelFallback.check(quota({ Opus: 'healthy', Sonnet: 'exhausted', Gemini: 'healthy' }, resetAt + 3600000)),
+            { from: 'Gemini', to: 'Opus', reason: 'quota_reset' }
+        );
+    } finally {
+        Date.now = realNow;
+    }
+    assert.equal(ModelFallback.getState(), null);
+    assert.equal(ide.model, 'Opus');
+});
+
+test('a model picked by hand ends the fallback', async () => {
+    ide.model = 'Opus';
+    await ModelFallback.check(quota({ Opus: 'exhausted', Sonnet: 'healthy', Gemini: 'healthy' }));
+    assert.equal(ModelFallback.getState().to, 'Sonnet');
+
+    ide.model = 'Something Else';
+    assert.equal(await ModelFallback.check(quota({ Opus: 'exhausted', Sonnet: 'exhausted', Gemini: 'healthy' })), null);
+    assert.equal(ModelFallback.getState(), null);
+    assert.equal(ide.model, 'Something Else');
+});
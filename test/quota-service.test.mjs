@@ -0,0 +1,93 @@
+/**
+ * Language server discovery - parsers for each platform's process and
+ * socket listings, run against output captured from real machines
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+    parseLanguageServerCommandLine,
+    parseWindowsProcessList,
+    parseWindowsPorts,
+    parseProcCmdline,
+    parsePsOutput,
+    parseProcNetTcp,
+    parseLsofOutput
+} from '../quota-service.mjs';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const fixture = (name, encoding = 'utf-8') => readFileSync(join(FIXTURES, name), encoding);
+
+test('parseLanguageServerCommandLine accepts only the Antigravity language server', () => {
+    const windows = parseWindowsProcessList(fixture('windows-processes.json'));
+    assert.equal(parseLanguageServerCommandLine(windows[0].commandLine), '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d');
+    // Another IDE's language server with the same flags
+    assert.equal(parseLanguageServerCommandLine(windows[1].commandLine), null);
+    assert.equal(parseLanguageServerCommandLine(windows[2].commandLine), null);
+
+    assert.equal(parseLanguageServerCommandLine('ls --extension_server_port=1 --csrf_token=abc123 --app_data_dir=antigravity'), 'abc123');
+    assert.equal(parseLanguageServerCommandLine('ls --csrf_token abc123 --app_data_dir antigravity'), null);
+    assert.equal(parseLanguageServerCommandLine(''), null);
+    assert.equal(parseLanguageServerCommandLine(null), null);
+});
+
+test('parseWindowsProcessList reads ConvertTo-Json output', () => {
+    assert.deepEqual(parseWindowsProcessList(fixture('windows-processes.json')).map(p => p.pid), [18244, 9120, 4]);
+    assert.equal(parseWindowsProcessList(fixture('windows-processes.json'))[2].commandLine, '');
+
+    // A single match comes back as an object
+    const single = parseWindowsProcessList(fixture('windows-process-single.json'));
+    assert.equal(single.length, 1);
+    assert.equal(single[0].pid, 18244);
+    assert.equal(parseLanguageServerCommandLine(single[0].commandLine), '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d');
+
+    // Noise before the JSON (profile output, BOM)
+    assert.equal(parseWindowsProcessList('﻿WARNING: something\r\n' + fixture('windows-process-single.json')).length, 1);
+    assert.deepEqual(parseWindowsProcessList(''), []);
+    assert.deepEqual(parseWindowsProcessList('not json'), []);
+});
+
+test('parseWindowsPorts reads the Get-NetTCPConnection port list', () => {
+    assert.deepEqual(parseWindowsPorts(fixture('windows-ports.txt')), [51724, 51730, 64512]);
+    assert.deepEqual(parseWindowsPorts(''), []);
+});
+
+test('parseProcCmdline joins NUL-separated arguments', () => {
+    const commandLine = parseProcCmdline(fixture('proc-cmdline.bin', null));
+    assert.match(commandLine, /^\/usr\/share\/antigravity\/.*language_server_linux_x64 --enable_lsp --extension_server_port 42101 /);
+    assert.ok(!commandLine.includes('\0'));
+    assert.ok(!commandLine.endsWith(' '));
+    assert.equal(parseLanguageServerCommandLine(commandLine), '3f9c2a1e-7b4d-4e8a-9c1f-0d2e5b6a7c8d');
+    assert.equal(parseProcCmdline(''), '');
+});
+
+test('parsePsOutput reads ps -o pid= -o command= output', () => {
+    const processes = parsePsOutput(fixture('ps-macos.txt'));
+    assert.deepEqual(processes.map(p => p.pid), [1, 412, 5310, 5388, 6021, 7002]);
+    assert.equal(processes[0].commandLine, '/sbin/launchd');
+
+    const tokens = processes.map(p => parseLanguageServerCommandLine(p.commandLine)).filter(Boolean);
+    assert.deepEqual(tokens, ['c0ffee00-1234-4abc-8def-0123456789ab']);
+});
+
+test('parseProcNetTcp keeps listening sockets with their inodes', () => {
+    assert.deepEqual(parseProcNetTcp(fixture('proc-net-tcp.txt')), [
+        { port: 42197, inode: '81234' },
+        { port: 42198, inode: '81235' },
+        { port: 22, inode: '1502' }
+    ]);
+    assert.deepEqual(parseProcNetTcp(fixture('proc-net-tcp6.txt')), [
+        { port: 42199, inode: '81240' },
+        { port: 3001, inode: '90001' }
+    ]);
+    assert.deepEqual(parseProcNetTcp(''), []);
+});
+
+test('parseLsofOutput reads -Fn name fields for IPv4, wildcard and IPv6', () => {
+    assert.deepEqual(parseLsofOutput(fixture('lsof-listen.txt')), [60105, 60106, 60107]);
+    // lsof exits non-zero with no output when nothing matches
+    assert.deepEqual(parseLsofOutput(undefined), []);
+});
@@ -0,0 +1,285 @@
+/**
+ * TLS Service - Local certificate authority for HTTPS mode
+ *
+ * Generates a private CA once and uses it to sign a server certificate
+ * for localhost, the hostname and every LAN IP of this machine. Both are
+ * kept in data/tls/ so the CA only has to be installed on a phone once:
+ * - ca-cert.pem / ca-key.pem          (10 years)
+ * - server-cert.pem / server-key.pem  (825 days - the most iOS accepts)
+ * The server certificate is re-issued when the LAN IPs change or it is
+ * about to expire.
+ *
+ * The CA carries a critical nameConstraints extension: it can only vouch
+ * for this machine's names and the networks its LAN IPs were on when it
+ * was created, so a phone that trusts it can't be fooled about any other
+ * site even if the CA key leaks. Virtual and VPN interfaces (docker,
+ * WireGuard...) are left out of those networks. Network changes never
+ * replace the CA - addresses outside it are just left off the server
+ * certificate; only a CA made before the constraint is replaced.
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { hostname, networkInterfaces } from 'os';
+import { generateKeyPairSync, randomBytes } from 'crypto';
+import forge from 'node-forge';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TLS_DIR = join(__dirname, 'data', 'tls');
+const FILES = {
+    caCert: join(TLS_DIR, 'ca-cert.pem'),
+    caKey: join(TLS_DIR, 'ca-key.pem'),
+    cert: join(TLS_DIR, 'server-cert.pem'),
+    key: join(TLS_DIR, 'server-key.pem')
+};
+
+const NAME_CONSTRAINTS = '2.5.29.30';
+
+const DAY = 24 * 60 * 60 * 1000;
+const CA_DAYS = 3650;
+const SERVER_DAYS = 825;
+const RENEW_BEFORE_DAYS = 30;
+
+let credentials = null;
+
+function generateKeys() {
+    const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+    return { privateKey: key, publicKey: forge.pki.setRsaPublicKey(key.n, key.e) };
+}
+
+function newCertificate(publicKey, days) {
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = publicKey;
+    // Positive serial (leading bit clear)
+    cert.serialNumber = '0' + randomBytes(15).toString('hex');
+    cert.validity.notBefore = new Date(Date.now() - DAY);
+    cert.validity.notAfter = new Date(Date.now() + days * DAY);
+    return cert;
+}
+
+const ipBytes = (address) => String.fromCharCode(...address.split('.').map(Number));
+
+// "192.168.1.0/24" <-> address and mask bytes, as in an iPAddress constraint
+function encodeNetwork(cidr) {
+    const [address, bits] = cidr.split('/');
+    const mask = [0, 1, 2, 3].map(i => (0xff << (8 - Math.min(8, Math.max(0, bits - i * 8)))) & 0xff);
+    return ipBytes(address) + String.fromCharCode(...mask);
+}
+
+// 192.168.1.23 with 24 bits -> "192.168.1.0/24"
+function networkOf(address, bits) {
+    const mask = encodeNetwork(`0.0.0.0/${bits}`).slice(4);
+    const octets = address.split('.').map((octet, i) => Number(octet) & mask.charCodeAt(i));
+    return `${octets.join('.')}/${bits}`;
+}
+
+function decodeNetwork(bytes) {
+    const octets = [...bytes].map(c => c.charCodeAt(0));
+    const bits = octets.slice(4).reduce((n, b) => n + b.toString(2).replace(/0/g, '').length, 0);
+    return `${octets.slice(0, 4).join('.')}/${bits}`;
+}
+
+// Permitted subtrees: DNS names (dNSName [2]) and networks (iPAddress [7])
+function nameConstraints(hosts) {
+    const { asn1 } = forge;
+    const subtree = (tag, value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, false, value)
+    ]);
+    return {
+        id: NAME_CONSTRAINTS,
+        critical: true,
+        value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+                ...hosts.dns.map(name => subtree(2, name)),
+                ...hosts.networks.map(cidr => subtree(7, encodeNetwork(cidr)))
+            ])
+        ])
+    };
+}
+
+/**
+ * Names and networks a CA's constraint permits, or null without one
+ */
+function permittedBy(caCert) {
+    const extension = caCert.extensions.find(e => e.id === NAME_CONSTRAINTS);
+    if (!extension) return null;
+    // DER when loaded from disk, still an ASN.1 object on a CA just created
+    const value = typeof extension.value === 'string' ? forge.asn1.fromDer(extension.value) : extension.value;
+    const permitted = value.value.find(part => part.type === 0);
+    return (permitted?.value || []).map(subtree => {
+        const name = subtree.value[0];
+        return name.type === 7 ? decodeNetwork(name.value) : name.value;
+    });
+}
+
+function needsNewCA(caCert) {
+    return permittedBy(caCert) ? null : 'no name constraints';
+}
+
+const inNetwork = (ip, cidr) => networkOf(ip, Number(cidr.split('/')[1])) === cidr;
+
+/**
+ * The part of `hosts` the CA may vouch for - the server certificate is
+ * issued for these only, since phones reject it otherwise
+ */
+function coveredBy(caCert, hosts) {
+    const permitted = permittedBy(caCert);
+    const networks = permitted.filter(name => name.includes('/'));
+    return {
+        dns: hosts.dns.filter(name => permitted.includes(name)),
+        ips: hosts.ips.filter(ip => networks.some(cidr => inNetwork(ip, cidr)))
+    };
+}
+
+function createCA(hosts) {
+    const keys = generateKeys();
+    const cert = newCertificate(keys.publicKey, CA_DAYS);
+    const attrs = [
+        { name: 'commonName', value: `Antigravity Mobile Local CA (${hostname()})` },
+        { name: 'organizationName', value: 'Antigravity Mobile' }
+    ];
+    cert.setSubject(attrs);
+    cert.setIssuer(attrs);
+    cert.setExtensions([
+        { name: 'basicConstraints', cA: true, critical: true },
+        { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+        { name: 'subjectKeyIdentifier' },
+        nameConstraints(hosts)
+    ]);
+    cert.sign(keys.privateKey, forge.md.sha256.create());
+    return { cert, key: keys.privateKey };
+}
+
+function createServerCert(ca, hosts) {
+    const keys = generateKeys();
+    const cert = newCertificate(keys.publicKey, SERVER_DAYS);
+    cert.setSubject([{ name: 'commonName', value: hostname() }]);
+    cert.setIssuer(ca.cert.subject.attributes);
+    cert.setExtensions([
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        {
+            name: 'subjectAltName',
+            altNames: [
+                ...hosts.dns.map(value => ({ type: 2, value })),
+                ...hosts.ips.map(ip => ({ type: 7, ip }))
+            ]
+        },
+        { name: 'authorityKeyIdentifier', keyIdentifier: ca.cert.generateSubjectKeyIdentifier().getBytes() }
+    ]);
+    cert.sign(ca.key, forge.md.sha256.create());
+    return { cert, key: keys.privateKey };
+}
+
+// Container bridges, VMs and VPN tunnels come and go - not worth a CA constraint
+const VIRTUAL_INTERFACE = /^(docker|br-|veth|virbr|vboxnet|vmnet|lxc|lxd|cni|flannel|cali|podman|tun|tap|utun|wg|zt|tailscale|awdl|llw)|vethernet|virtualbox|vmware|hyper-v|wsl/i;
+
+/**
+ * Names and addresses the server certificate should cover, and the LAN
+ * networks those addresses are on (for a new CA's name constraints)
+ */
+export function getHosts() {
+    const ips = ['127.0.0.1'];
+    const networks = ['127.0.0.1/32'];
+    for (const [name, nets] of Object.entries(networkInterfaces())) {
+        for (const net of nets || []) {
+            if (net.family !== 'IPv4' || net.internal) continue;
+            ips.push(net.address);
+            if (!VIRTUAL_INTERFACE.test(name)) {
+                networks.push(networkOf(net.address, Number(net.cidr?.split('/')[1] ?? 32)));
+            }
+        }
+    }
+
+    const name = hostname();
+    const dns = ['localhost', name];
+    if (!name.includes('.')) dns.push(`${name}.local`);
+    return { dns: [...new Set(dns)], ips: [...new Set(ips)], networks: [...new Set(networks)] };
+}
+
+function needsNewServerCert(cert, ca, hosts) {
+    if (cert.validity.notAfter.getTime() - Date.now() < RENEW_BEFORE_DAYS * DAY) return 'expiring';
+    try {
+        if (!ca.cert.verify(cert)) return 'not signed by the CA';
+    } catch (e) {
+        return 'not signed by the CA';
+    }
+    const san = cert.getExtension('subjectAltName');
+    const covered = new Set((san?.altNames || []).map(n => n.ip || n.value));
+    const missing = [...hosts.dns, ...hosts.ips].filter(h => !covered.has(h));
+    if (missing.length) return `new address ${missing.join(', ')}`;
+    return null;
+}
+
+/**
+ * Load the CA and server certificate, creating or renewing them as needed
+ * Returns { key, cert, ca } as PEM strings for https.createServer
+ */
+export function loadOrCreate() {
+    if (!existsSync(TLS_DIR)) mkdirSync(TLS_DIR, { recursive: true });
+
+    const hosts = getHosts();
+
+    let ca = null;
+    if (existsSync(FILES.caCert) && existsSync(FILES.caKey)) {
+        ca = {
+            cert: forge.pki.certificateFromPem(readFileSync(FILES.caCert, 'utf-8')),
+            key: forge.pki.privateKeyFromPem(readFileSync(FILES.caKey, 'utf-8'))
+        };
+        const reason = needsNewCA(ca.cert);
+        if (reason) {
+            console.log(`🔏 Replacing the local certificate authority (${reason}) - install the new CA on your phones`);
+            ca = null;
+        }
+    }
+    if (!ca) {
+        console.log(`🔏 Creating local certificate authority for ${[...hosts.dns, ...hosts.networks].join(', ')}...`);
+        ca = createCA(hosts);
+        writeFileSync(FILES.caKey, forge.pki.privateKeyToPem(ca.key), { mode: 0o600 });
+        writeFileSync(FILES.caCert, forge.pki.certificateToPem(ca.cert), { mode: 0o644 });
+    }
+
+    const covered = coveredBy(ca.cert, hosts);
+    const outside = [...hosts.dns, ...hosts.ips].filter(h => !covered.dns.includes(h) && !covered.ips.includes(h));
+    if (outside.length) {
+        console.log(`⚠️ ${outside.join(', ')} not covered by the local CA - HTTPS on them needs a new CA (delete data/tls/ca-*.pem and reinstall it on your phones)`);
+    }
+
+    let reason = 'new';
+    if (existsSync(FILES.cert) && existsSync(FILES.key)) {
+        reason = needsNewServerCert(forge.pki.certificateFromPem(readFileSync(FILES.cert, 'utf-8')), ca, covered);
+    }
+    if (reason) {
+        console.log(`🔏 Issuing server certificate (${reason}) for ${[...covered.dns, ...covered.ips].join(', ')}`);
+        const server = createServerCert(ca, covered);
+        writeFileSync(FILES.key, forge.pki.privateKeyToPem(server.key), { mode: 0o600 });
+        writeFileSync(FILES.cert, forge.pki.certificateToPem(server.cert), { mode: 0o644 });
+    }
+
+    credentials = {
+        key: readFileSync(FILES.key, 'utf-8'),
+        cert: readFileSync(FILES.cert, 'utf-8'),
+        ca: readFileSync(FILES.caCert, 'utf-8')
+    };
+    return credentials;
+}
+
+/**
+ * CA certificate (PEM) for installing on phones, or null before loadOrCreate()
+ */
+export function getCaCertificate() {
+    return credentials?.ca || null;
+}
+
+/**
+ * SHA-256 fingerprint of the CA, to compare when installing it
+ */
+export function getCaFingerprint() {
+    if (!credentials) return null;
+    const der = forge.asn1.toDer(forge.pki.certificateToAsn1(forge.pki.certificateFromPem(credentials.ca))).getBytes();
+    const hex = forge.md.sha256.create().update(der).digest().toHex().toUpperCase();
+    return hex.match(/.{2}/g).join(':');
+}
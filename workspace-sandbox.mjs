@@ -0,0 +1,135 @@
+/**
+ * Workspace Sandbox - Decides which files the mobile UI may touch
+ *
+ * Every file route resolves paths through check():
+ * - Paths are compared after realpath, so symlinks can't point outside
+ *   the workspace, and by path segment, so /proj-secrets is not inside /proj
+ * - Deny globs hide files completely (listing, reading, saving)
+ * - Read-only globs can be viewed but not saved
+ *
+ * Globs: `*` and `?` stay within one path segment, `**` spans segments.
+ * A pattern matches at any depth unless it starts with `/` (anchored to
+ * the workspace root); `dir/**` also matches `dir` itself. Extra patterns
+ * come from the filesDeny / filesReadonly settings and are added to the
+ * defaults below.
+ */
+
+import { realpathSync } from 'fs';
+import { relative, isAbsolute, resolve, sep } from 'path';
+import { config } from './config.mjs';
+
+const DEFAULT_DENY = [
+    '.env', '.env.*', '*.env',
+    '*.pem', '*.key', '*.p12', '*.pfx', '*.keystore', '*.jks',
+    'id_rsa*', 'id_dsa*', 'id_ecdsa*', 'id_ed25519*',
+    '.git/**', '.ssh/**', '.aws/**', '.gnupg/**',
+    '.npmrc', '.pypirc', '.netrc', '.git-credentials', '*.kdbx'
+];
+
+const DEFAULT_READONLY = [
+    'node_modules/**',
+    'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', '*.lock'
+];
+
+const isWindows = process.platform === 'win32';
+
+/**
+ * Compile a glob into a RegExp over '/'-separated relative paths
+ */
+function globToRegExp(glob) {
+    let pattern = glob.replace(/\\/g, '/');
+    const anchored = pattern.startsWith('/');
+    if (anchored) pattern = pattern.slice(1);
+
+    // "dir/**" also covers "dir"
+    const dirGlob = pattern.endsWith('/**');
+    if (dirGlob) pattern = pattern.slice(0, -3);
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more whole segments
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i++;
+            }
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    if (dirGlob) source += '(?:/.*)?';
+
+    return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}$`, isWindows ? 'i' : '');
+}
+
+const denyRules = [...DEFAULT_DENY, ...config.filesDeny].map(globToRegExp);
+const readOnlyRules = [...DEFAULT_READONLY, ...config.filesReadonly].map(globToRegExp);
+
+function matches(rules, relativePath) {
+    const path = relativePath.split(sep).join('/');
+    return path !== '' && rules.some(rule => rule.test(path));
+}
+
+/**
+ * Path of `target` relative to `root`, or null when it is outside.
+ * Compares whole segments (case-insensitively on Windows).
+ */
+function relativeInside(root, target) {
+    const rel = relative(root, target);
+    if (rel === '') return '';
+    if (rel === '..' || rel.startsWith('..' + sep) || isAbsolute(rel)) return null;
+    return rel;
+}
+
+/**
+ * Check whether a path may be accessed
+ * mode: 'read' (list/view) or 'write' (save)
+ * Returns { path, relative, readOnly } with the real path, or
+ * { error, status } when access is refused
+ */
+export function check(workspace, requestedPath, mode = 'read') {
+    let root;
+    try {
+        root = realpathSync.native(resolve(workspace));
+    } catch (e) {
+        return { error: 'Workspace not found', status: 404 };
+    }
+
+    const requested = resolve(requestedPath);
+    let real;
+    try {
+        real = realpathSync.native(requested);
+    } catch (e) {
+        return { error: 'Path not found', status: 404 };
+    }
+
+    // The real location must be inside the real workspace (symlinks resolved)
+    const rel = relativeInside(root, real);
+    if (rel === null) {
+        return { error: 'Access denied - outside workspace', status: 403 };
+    }
+
+    // Check the name that was asked for as well as the one it resolves to,
+    // so neither "notes.txt -> .env" nor ".env -> notes.txt" gets through
+    const requestedRel = relativeInside(resolve(workspace), requested) ?? relativeInside(root, requested);
+    const names = [rel, requestedRel].filter(p => p);
+
+    if (names.some(p => matches(denyRules, p))) {
+        return { error: 'Access denied - protected file', status: 403 };
+    }
+
+    const readOnly = names.some(p => matches(readOnlyRules, p));
+    if (mode === 'write' && readOnly) {
+        return { error: 'File is read-only', status: 403 };
+    }
+
+    return { path: real, relative: rel, readOnly };
+}